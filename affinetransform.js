@@ -0,0 +1,510 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_graphics_affinetransform.js.source.html
+
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+var Size = require('./size');
+var XMath = require('./math');
+
+/**
+ * Creates a 2D affine transform. An affine transform performs a linear
+ * mapping from 2D coordinates to other 2D coordinates that preserves the
+ * "straightness" and "parallelness" of lines.
+ *
+ * Such a coordinate transformation can be represented by a 3 row by 3 column
+ * matrix with an implied last row of [ 0 0 1 ]. This matrix transforms source
+ * coordinates (x,y) into destination coordinates (x',y') by considering them
+ * to be a column vector and multiplying the coordinate vector by the matrix
+ * according to the following process:
+ * <pre>
+ *      [ x']   [  m00  m01  m02  ] [ x ]   [ m00x + m01y + m02 ]
+ *      [ y'] = [  m10  m11  m12  ] [ y ] = [ m10x + m11y + m12 ]
+ *      [ 1 ]   [   0    0    1   ] [ 1 ]   [         1         ]
+ * </pre>
+ *
+ * The arguments follow the order of the CSS and SVG {@code matrix(a, b, c, d,
+ * e, f)} notation. When no arguments are given, the identity is created.
+ *
+ * @param {number=} opt_m00 The m00 coordinate of the transform.
+ * @param {number=} opt_m10 The m10 coordinate of the transform.
+ * @param {number=} opt_m01 The m01 coordinate of the transform.
+ * @param {number=} opt_m11 The m11 coordinate of the transform.
+ * @param {number=} opt_m02 The m02 coordinate of the transform.
+ * @param {number=} opt_m12 The m12 coordinate of the transform.
+ * @constructor
+ */
+var AffineTransform = function(opt_m00, opt_m10, opt_m01,
+    opt_m11, opt_m02, opt_m12) {
+  if (arguments.length == 6) {
+    this.setTransform(opt_m00, opt_m10, opt_m01, opt_m11, opt_m02, opt_m12);
+  } else if (arguments.length != 0) {
+    throw Error('Insufficient matrix parameters');
+  } else {
+    this.m00 = this.m11 = 1;
+    this.m10 = this.m01 = this.m02 = this.m12 = 0;
+  }
+};
+
+
+/**
+ * @return {boolean} Whether this transform is the identity transform.
+ */
+AffineTransform.prototype.isIdentity = function() {
+  return this.m00 == 1 && this.m10 == 0 && this.m01 == 0 &&
+      this.m11 == 1 && this.m02 == 0 && this.m12 == 0;
+};
+
+
+/**
+ * @return {!AffineTransform} A copy of this transform.
+ */
+AffineTransform.prototype.clone = function() {
+  return new AffineTransform(this.m00, this.m10, this.m01,
+      this.m11, this.m02, this.m12);
+};
+
+
+/**
+ * Sets this transform to the matrix specified by the 6 values.
+ *
+ * @param {number} m00 The m00 coordinate of the transform.
+ * @param {number} m10 The m10 coordinate of the transform.
+ * @param {number} m01 The m01 coordinate of the transform.
+ * @param {number} m11 The m11 coordinate of the transform.
+ * @param {number} m02 The m02 coordinate of the transform.
+ * @param {number} m12 The m12 coordinate of the transform.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.setTransform = function(m00, m10, m01,
+    m11, m02, m12) {
+  if (!isFinite(m00) || !isFinite(m10) || !isFinite(m01) ||
+      !isFinite(m11) || !isFinite(m02) || !isFinite(m12)) {
+    throw Error('Invalid transform parameters');
+  }
+  this.m00 = m00;
+  this.m10 = m10;
+  this.m01 = m01;
+  this.m11 = m11;
+  this.m02 = m02;
+  this.m12 = m12;
+  return this;
+};
+
+
+/**
+ * Sets this transform to be identical to the given transform.
+ *
+ * @param {!AffineTransform} tx The transform to copy.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.copyFrom = function(tx) {
+  this.m00 = tx.m00;
+  this.m10 = tx.m10;
+  this.m01 = tx.m01;
+  this.m11 = tx.m11;
+  this.m02 = tx.m02;
+  this.m12 = tx.m12;
+  return this;
+};
+
+
+/**
+ * Concatenates this transform with a scaling transformation.
+ *
+ * @param {number} sx The x-axis scaling factor.
+ * @param {number=} opt_sy The y-axis scaling factor, defaults to {@code sx}.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.scale = function(sx, opt_sy) {
+  var sy = opt_sy === undefined ? sx : opt_sy;
+  this.m00 *= sx;
+  this.m10 *= sx;
+  this.m01 *= sy;
+  this.m11 *= sy;
+  return this;
+};
+
+
+/**
+ * Concatenates this transform with a translate transformation.
+ *
+ * @param {number} dx The distance to translate in the x direction.
+ * @param {number} dy The distance to translate in the y direction.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.translate = function(dx, dy) {
+  this.m02 += dx * this.m00 + dy * this.m01;
+  this.m12 += dx * this.m10 + dy * this.m11;
+  return this;
+};
+
+
+/**
+ * Concatenates this transform with a rotation transformation around an anchor
+ * point. The rotation direction matches {@code Coordinate.prototype.rotate}.
+ *
+ * @param {number} theta The angle of rotation measured in radians.
+ * @param {number=} opt_x The x coordinate of the anchor point, defaults to 0.
+ * @param {number=} opt_y The y coordinate of the anchor point, defaults to 0.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.rotate = function(theta, opt_x, opt_y) {
+  return this.concatenate(
+      AffineTransform.fromRotation(theta, opt_x, opt_y));
+};
+
+
+/**
+ * Concatenates this transform with a shear transformation.
+ *
+ * @param {number} shx The x shear factor.
+ * @param {number} shy The y shear factor.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.shear = function(shx, shy) {
+  var m00 = this.m00;
+  var m10 = this.m10;
+  this.m00 += shy * this.m01;
+  this.m10 += shy * this.m11;
+  this.m01 += shx * m00;
+  this.m11 += shx * m10;
+  return this;
+};
+
+
+/**
+ * Concatenates an affine transform to this transform. The resulting transform
+ * first applies {@code tx} and then this transform.
+ *
+ * @param {!AffineTransform} tx The transform to concatenate.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.concatenate = function(tx) {
+  var m0 = this.m00;
+  var m1 = this.m01;
+  this.m00 = tx.m00 * m0 + tx.m10 * m1;
+  this.m01 = tx.m01 * m0 + tx.m11 * m1;
+  this.m02 += tx.m02 * m0 + tx.m12 * m1;
+
+  m0 = this.m10;
+  m1 = this.m11;
+  this.m10 = tx.m00 * m0 + tx.m10 * m1;
+  this.m11 = tx.m01 * m0 + tx.m11 * m1;
+  this.m12 += tx.m02 * m0 + tx.m12 * m1;
+  return this;
+};
+
+
+/**
+ * Pre-concatenates an affine transform to this transform. The resulting
+ * transform first applies this transform and then {@code tx}.
+ *
+ * @param {!AffineTransform} tx The transform to preconcatenate.
+ * @return {!AffineTransform} This affine transform.
+ */
+AffineTransform.prototype.preConcatenate = function(tx) {
+  var m0 = this.m00;
+  var m1 = this.m10;
+  this.m00 = m0 * tx.m00 + m1 * tx.m01;
+  this.m10 = m0 * tx.m10 + m1 * tx.m11;
+
+  m0 = this.m01;
+  m1 = this.m11;
+  this.m01 = m0 * tx.m00 + m1 * tx.m01;
+  this.m11 = m0 * tx.m10 + m1 * tx.m11;
+
+  m0 = this.m02;
+  m1 = this.m12;
+  this.m02 = m0 * tx.m00 + m1 * tx.m01 + tx.m02;
+  this.m12 = m0 * tx.m10 + m1 * tx.m11 + tx.m12;
+  return this;
+};
+
+
+/**
+ * @return {number} The determinant of this transform.
+ */
+AffineTransform.prototype.getDeterminant = function() {
+  return this.m00 * this.m11 - this.m01 * this.m10;
+};
+
+
+/**
+ * Returns whether the transform is invertible. A transform is not invertible
+ * if the determinant is 0 or any value is non-finite or NaN.
+ *
+ * @return {boolean} Whether the transform is invertible.
+ */
+AffineTransform.prototype.isInvertible = function() {
+  var det = this.getDeterminant();
+  return isFinite(det) && isFinite(this.m02) && isFinite(this.m12) &&
+      det != 0;
+};
+
+
+/**
+ * @return {AffineTransform} An AffineTransform object representing the
+ *     inverse transformation, or null if this transform is not invertible.
+ */
+AffineTransform.prototype.createInverse = function() {
+  if (!this.isInvertible()) {
+    return null;
+  }
+  return this.clone().invert();
+};
+
+
+/**
+ * Inverts this transform in place, so that it undoes what it used to do.
+ * If the transform is not invertible it is left as is.
+ *
+ * @return {AffineTransform} This affine transform after inverting, or null
+ *     if it is not invertible.
+ */
+AffineTransform.prototype.invert = function() {
+  if (!this.isInvertible()) {
+    return null;
+  }
+  var det = this.getDeterminant();
+  return this.setTransform(
+      this.m11 / det,
+      -this.m10 / det,
+      -this.m01 / det,
+      this.m00 / det,
+      (this.m01 * this.m12 - this.m11 * this.m02) / det,
+      (this.m10 * this.m02 - this.m00 * this.m12) / det);
+};
+
+
+/**
+ * Transforms a coordinate.
+ *
+ * @param {Coordinate.PointLike} coordinate The coordinate to transform.
+ * @return {!Coordinate} A new transformed Coordinate.
+ */
+AffineTransform.prototype.transformCoordinate = function(coordinate) {
+  coordinate = Coordinate.coerce(coordinate);
+  return new Coordinate(
+      coordinate.x * this.m00 + coordinate.y * this.m01 + this.m02,
+      coordinate.x * this.m10 + coordinate.y * this.m11 + this.m12);
+};
+
+
+/**
+ * Transforms an array of coordinates.
+ *
+ * @param {!Array.<!Coordinate>} coordinates The coordinates to transform.
+ * @return {!Array.<!Coordinate>} New transformed Coordinates in the same
+ *     order.
+ */
+AffineTransform.prototype.transformCoordinates = function(coordinates) {
+  return coordinates.map(this.transformCoordinate, this);
+};
+
+
+/**
+ * Transforms a box and returns the axis-aligned box bounding the result.
+ *
+ * @param {!Box} box The box to transform.
+ * @return {!Box} A new Box bounding the transformed corners of {@code box}.
+ */
+AffineTransform.prototype.transformBox = function(box) {
+  return Box.boundingBox.apply(null, this.transformCoordinates([
+    new Coordinate(box.left, box.top),
+    new Coordinate(box.right, box.top),
+    new Coordinate(box.right, box.bottom),
+    new Coordinate(box.left, box.bottom)
+  ]));
+};
+
+
+/**
+ * Transforms a rectangle and returns the axis-aligned rectangle bounding the
+ * result.
+ *
+ * @param {!Rect} rect The rectangle to transform.
+ * @return {!Rect} A new Rect bounding the transformed corners of
+ *     {@code rect}.
+ */
+AffineTransform.prototype.transformRect = function(rect) {
+  return Rect.createFromBox(this.transformBox(rect.toBox()));
+};
+
+
+/**
+ * Transforms a size, treated as a rectangle with its top left corner at the
+ * origin, ignoring the translation part of this transform.
+ *
+ * @param {!Size} size The size to transform.
+ * @return {!Size} A new Size of the axis-aligned rectangle bounding the
+ *     transformed size.
+ */
+AffineTransform.prototype.transformSize = function(size) {
+  var w = size.width;
+  var h = size.height;
+  return new Size(Math.abs(w * this.m00) + Math.abs(h * this.m01),
+                  Math.abs(w * this.m10) + Math.abs(h * this.m11));
+};
+
+
+/**
+ * Returns the transform in the CSS and SVG notation.
+ * @return {string} In the form matrix(1,0,0,1,10,20).
+ * @override
+ */
+AffineTransform.prototype.toString = function() {
+  return 'matrix(' +
+      [this.m00, this.m10, this.m01, this.m11, this.m02, this.m12].join(',') +
+      ')';
+};
+
+
+/**
+ * Compares two affine transforms for equality.
+ *
+ * @param {AffineTransform} a An AffineTransform.
+ * @param {AffineTransform} b An AffineTransform.
+ * @return {boolean} True iff the transforms are equal, or if both are null.
+ */
+AffineTransform.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.m00 == b.m00 && a.m01 == b.m01 && a.m02 == b.m02 &&
+      a.m10 == b.m10 && a.m11 == b.m11 && a.m12 == b.m12;
+};
+
+
+/**
+ * Parses the CSS and SVG {@code matrix(a, b, c, d, e, f)} notation. Values
+ * can be separated by commas, whitespace or both.
+ *
+ * @param {string} str The string to parse.
+ * @return {!AffineTransform} The parsed transform.
+ */
+AffineTransform.parse = function(str) {
+  var match = /^\s*matrix\s*\(([^)]*)\)\s*$/i.exec(str);
+  var values = match ? match[1].trim().split(/\s*,\s*|\s+/) : [];
+  if (values.length != 6) {
+    throw Error('Invalid matrix string: ' + str);
+  }
+  var numbers = values.map(function(value) {
+    var number = value === '' ? NaN : Number(value);
+    if (!isFinite(number)) {
+      throw Error('Invalid matrix string: ' + str);
+    }
+    return number;
+  });
+  var tx = new AffineTransform();
+  return tx.setTransform.apply(tx, numbers);
+};
+
+
+/**
+ * Creates a transform from its JSON form, as produced by
+ * {@code JSON.stringify}.
+ *
+ * @param {*} json An object with numeric m00, m10, m01, m11, m02 and m12
+ *     properties.
+ * @return {!AffineTransform} A new transform.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+AffineTransform.fromJSON = function(json) {
+  var keys = ['m00', 'm10', 'm01', 'm11', 'm02', 'm12'];
+  if (!json || !keys.every(function(key) {
+    return XMath.isNumber(json[key]);
+  })) {
+    throw new TypeError('Expected {m00, m10, m01, m11, m02, m12}, got ' +
+        Json.describe(json));
+  }
+  return new AffineTransform(json.m00, json.m10, json.m01, json.m11,
+                             json.m02, json.m12);
+};
+
+
+/**
+ * Returns a transform which applies all the given transforms in turn, the
+ * first one first.
+ *
+ * @param {...AffineTransform} var_args Transforms to compose.
+ * @return {!AffineTransform} A new composed transform.
+ */
+AffineTransform.compose = function(var_args) {
+  var result = new AffineTransform();
+  for (var i = 0; i < arguments.length; i++) {
+    result.preConcatenate(arguments[i]);
+  }
+  return result;
+};
+
+
+/**
+ * Creates a transform representing a scaling transformation.
+ *
+ * @param {number} sx The x-axis scaling factor.
+ * @param {number=} opt_sy The y-axis scaling factor, defaults to {@code sx}.
+ * @return {!AffineTransform} A transform representing a scaling
+ *     transformation.
+ */
+AffineTransform.fromScale = function(sx, opt_sy) {
+  return new AffineTransform().scale(sx, opt_sy);
+};
+
+
+/**
+ * Creates a transform representing a translation transformation.
+ *
+ * @param {number|Coordinate} dx The distance to translate in the x direction
+ *     or the coordinate to translate by.
+ * @param {number=} opt_dy The distance to translate in the y direction.
+ * @return {!AffineTransform} A transform representing a translation
+ *     transformation.
+ */
+AffineTransform.fromTranslation = function(dx, opt_dy) {
+  if (!XMath.isNumber(dx)) {
+    dx = Coordinate.coerce(dx);
+    return new AffineTransform(1, 0, 0, 1, dx.x, dx.y);
+  }
+  return new AffineTransform(1, 0, 0, 1, dx, opt_dy || 0);
+};
+
+
+/**
+ * Creates a transform representing a rotation transformation around an
+ * anchor point. The rotation direction matches
+ * {@code Coordinate.prototype.rotate}.
+ *
+ * @param {number} theta The angle of rotation measured in radians.
+ * @param {number=} opt_x The x coordinate of the anchor point, defaults to 0.
+ * @param {number=} opt_y The y coordinate of the anchor point, defaults to 0.
+ * @return {!AffineTransform} A transform representing a rotation
+ *     transformation.
+ */
+AffineTransform.fromRotation = function(theta, opt_x, opt_y) {
+  var x = opt_x || 0;
+  var y = opt_y || 0;
+  var cos = Math.cos(theta);
+  var sin = Math.sin(theta);
+  return new AffineTransform(cos, sin, -sin, cos,
+      x - x * cos + y * sin, y - x * sin - y * cos);
+};
+
+
+/**
+ * Creates a transform representing a shear transformation.
+ *
+ * @param {number} shx The x-axis shear factor.
+ * @param {number} shy The y-axis shear factor.
+ * @return {!AffineTransform} A transform representing a shear
+ *     transformation.
+ */
+AffineTransform.fromShear = function(shx, shy) {
+  return new AffineTransform(1, shy, shx, 1, 0, 0);
+};
+
+module.exports = AffineTransform;
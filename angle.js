@@ -0,0 +1,199 @@
+var Coordinate = require('./coordinate');
+var XMath = require('./math');
+
+/**
+ * Angle utilities taking the unit of the angles as an explicit argument, so
+ * degrees and radians cannot be mixed up. As in {@code XMath.angle}, angle
+ * zero points in the +X direction and angles grow towards the +Y direction,
+ * which is clockwise on screen where the Y axis points down.
+ */
+var Angle = {};
+
+
+/**
+ * Units of angles, named after the CSS units.
+ * @enum {string}
+ */
+Angle.Unit = {
+  DEGREES: 'deg',
+  RADIANS: 'rad',
+  TURNS: 'turn'
+};
+
+
+/**
+ * Converts an angle between units.
+ * @param {number} angle The angle.
+ * @param {Angle.Unit} from The unit of {@code angle}.
+ * @param {Angle.Unit} to The unit to convert to.
+ * @return {number} The angle in {@code to}.
+ */
+Angle.convert = function(angle, from, to) {
+  return angle / Angle.fullTurn(from) * Angle.fullTurn(to);
+};
+
+
+/**
+ * @param {Angle.Unit} unit A unit.
+ * @return {number} The size of a full turn in the unit, such as 360 for
+ *     degrees.
+ */
+Angle.fullTurn = function(unit) {
+  switch (unit) {
+    case Angle.Unit.DEGREES:
+      return 360;
+    case Angle.Unit.RADIANS:
+      return 2 * Math.PI;
+    case Angle.Unit.TURNS:
+      return 1;
+  }
+  throw Error('Unknown angle unit: ' + unit);
+};
+
+
+/**
+ * Standardizes an angle to be in range [0, 360) degrees or the same range in
+ * another unit, as {@code XMath.standardAngle}.
+ * @param {number} angle The angle.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @return {number} The standardized angle.
+ */
+Angle.normalize = function(angle, unit) {
+  var fullTurn = Angle.fullTurn(unit);
+  angle = XMath.modulo(angle, fullTurn);
+  // Tiny negative angles wrap around to a whole turn after rounding.
+  return angle == fullTurn ? 0 : angle;
+};
+
+
+/**
+ * Standardizes an angle to be in range (-180, 180] degrees or the same range
+ * in another unit.
+ * @param {number} angle The angle.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @return {number} The standardized angle.
+ */
+Angle.normalizeSigned = function(angle, unit) {
+  var fullTurn = Angle.fullTurn(unit);
+  angle = XMath.modulo(angle, fullTurn);
+  return angle > fullTurn / 2 ? angle - fullTurn : angle;
+};
+
+
+/**
+ * Computes the shortest turn from one angle to another, as
+ * {@code XMath.angleDifference}.
+ * @param {number} startAngle The start angle.
+ * @param {number} endAngle The end angle.
+ * @param {Angle.Unit} unit The unit of the angles.
+ * @return {number} The angle that when added to {@code startAngle} results in
+ *     {@code endAngle}, in range (-180, 180] degrees or the same range in
+ *     another unit. Positive angles turn clockwise on screen.
+ */
+Angle.difference = function(startAngle, endAngle, unit) {
+  return Angle.normalizeSigned(endAngle - startAngle, unit);
+};
+
+
+/**
+ * Interpolates between two angles along the shortest arc between them, going
+ * clockwise if they are opposite.
+ * @param {number} a Angle a.
+ * @param {number} b Angle b.
+ * @param {number} x The proportion between a and b.
+ * @param {Angle.Unit} unit The unit of the angles.
+ * @return {number} The interpolated angle, standardized as by
+ *     {@code Angle.normalize}.
+ */
+Angle.lerp = function(a, b, x, unit) {
+  return Angle.normalize(a + Angle.difference(a, b, unit) * x, unit);
+};
+
+
+/**
+ * Tells whether an angle lies on the arc going clockwise from a start angle to
+ * an end angle, ends included. The arc from 350 to 10 degrees is 20 degrees
+ * wide, while the arc from 10 to 350 degrees is 340 degrees wide.
+ * @param {number} angle The angle.
+ * @param {number} startAngle The start of the arc.
+ * @param {number} endAngle The end of the arc.
+ * @param {Angle.Unit} unit The unit of the angles.
+ * @return {boolean} Whether {@code angle} is on the arc.
+ */
+Angle.isBetween = function(angle, startAngle, endAngle, unit) {
+  return Angle.normalize(angle - startAngle, unit) <=
+      Angle.normalize(endAngle - startAngle, unit);
+};
+
+
+/**
+ * Clamps an angle to the arc going clockwise from a start angle to an end
+ * angle, see {@code Angle.isBetween}. Angles outside the arc become the end
+ * reached by the shortest turn.
+ * @param {number} angle The angle.
+ * @param {number} startAngle The start of the arc.
+ * @param {number} endAngle The end of the arc.
+ * @param {Angle.Unit} unit The unit of the angles.
+ * @return {number} The clamped angle, standardized as by
+ *     {@code Angle.normalize}.
+ */
+Angle.clamp = function(angle, startAngle, endAngle, unit) {
+  var fullTurn = Angle.fullTurn(unit);
+  var offset = Angle.normalize(angle - startAngle, unit);
+  var span = Angle.normalize(endAngle - startAngle, unit);
+  if (offset <= span) {
+    return Angle.normalize(angle, unit);
+  }
+  return Angle.normalize(offset - span <= fullTurn - offset ?
+                         endAngle : startAngle, unit);
+};
+
+
+/**
+ * Computes the angle of the vector between two points, as
+ * {@code XMath.angle}.
+ * @param {Coordinate.PointLike} from The start of the vector.
+ * @param {Coordinate.PointLike} to The end of the vector.
+ * @param {Angle.Unit} unit The unit of the result.
+ * @return {number} The angle, standardized as by {@code Angle.normalize}.
+ */
+Angle.between = function(from, to, unit) {
+  from = Coordinate.coerce(from);
+  to = Coordinate.coerce(to);
+  var radians = Math.atan2(to.y - from.y, to.x - from.x);
+  return Angle.normalize(
+      Angle.convert(radians, Angle.Unit.RADIANS, unit), unit);
+};
+
+
+/**
+ * Returns the vector of a given length pointing at an angle, as
+ * {@code XMath.angleDx} and {@code XMath.angleDy}.
+ * @param {number} angle The angle.
+ * @param {number} radius The length of the vector.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @return {!Coordinate} A new Coordinate.
+ */
+Angle.toVector = function(angle, radius, unit) {
+  var radians = Angle.convert(angle, unit, Angle.Unit.RADIANS);
+  return new Coordinate(radius * Math.cos(radians),
+                        radius * Math.sin(radians));
+};
+
+
+/**
+ * Rotates a point by an angle, as {@code Coordinate.rotateAroundPoint}.
+ * @param {Coordinate.PointLike} point The point.
+ * @param {number} angle The angle, positive turning clockwise on screen.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @param {Coordinate.PointLike=} opt_center The center of the rotation,
+ *     defaults to the origin.
+ * @return {!Coordinate} A new Coordinate, {@code point} is not changed.
+ */
+Angle.rotate = function(point, angle, unit, opt_center) {
+  var radians = Angle.convert(angle, unit, Angle.Unit.RADIANS);
+  return Coordinate.rotateAroundPoint(point, opt_center || new Coordinate(),
+                                      radians);
+};
+
+module.exports = Angle;
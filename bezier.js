@@ -0,0 +1,390 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_bezier.js.source.html
+
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+var XMath = require('./math');
+
+/**
+ * Object representing a quadratic or cubic bezier curve.
+ * @param {...Coordinate.PointLike} var_args Three control points for a
+ *     quadratic curve or four control points for a cubic curve, starting with
+ *     the start point and ending with the end point.
+ * @constructor
+ */
+var Bezier = function(var_args) {
+  if (arguments.length != 3 && arguments.length != 4) {
+    throw Error('Bezier curves need 3 or 4 control points');
+  }
+
+  /**
+   * Control points, from the start point to the end point.
+   * @type {!Array.<!Coordinate>}
+   */
+  this.points = [].map.call(arguments, function(point) {
+    return Coordinate.coerce(point).clone();
+  });
+};
+
+
+/**
+ * Creates a new curve from an array of control points.
+ * @param {!Array.<Coordinate.PointLike>} points Three or four control points.
+ * @return {!Bezier} A new Bezier curve.
+ */
+Bezier.createFromCoordinates = function(points) {
+  var curve = Object.create(Bezier.prototype);
+  Bezier.apply(curve, points);
+  return curve;
+};
+
+
+/**
+ * Creates a cubic curve of the shape used by the CSS
+ * {@code cubic-bezier(x1, y1, x2, y2)} timing function, which goes from
+ * (0, 0) to (1, 1).
+ * @param {number} x1 X coordinate of the first control point.
+ * @param {number} y1 Y coordinate of the first control point.
+ * @param {number} x2 X coordinate of the second control point.
+ * @param {number} y2 Y coordinate of the second control point.
+ * @return {!Bezier} A new cubic Bezier curve.
+ */
+Bezier.createTimingFunction = function(x1, y1, x2, y2) {
+  return new Bezier(new Coordinate(0, 0), new Coordinate(x1, y1),
+                    new Coordinate(x2, y2), new Coordinate(1, 1));
+};
+
+
+/**
+ * @return {!Bezier} A copy of this curve.
+ */
+Bezier.prototype.clone = function() {
+  return Bezier.createFromCoordinates(this.points);
+};
+
+
+/**
+ * Creates a curve from its JSON form, as produced by {@code JSON.stringify}.
+ * @param {*} json An object whose points property is an array of three or
+ *     four control points in the form of {@code Coordinate.prototype.toJSON}.
+ * @return {!Bezier} A new Bezier curve.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Bezier.fromJSON = function(json) {
+  if (!json || !Array.isArray(json.points) ||
+      json.points.length != 3 && json.points.length != 4) {
+    throw new TypeError('Expected {points} with 3 or 4 points, got ' +
+        Json.describe(json));
+  }
+  return Bezier.createFromCoordinates(
+      Json.mapItems(json.points, Coordinate.fromJSON, '.points'));
+};
+
+
+/**
+ * Test if the given curve is exactly the same as this one.
+ * @param {Bezier} other The other curve.
+ * @return {boolean} Whether the given curve is the same as this one.
+ */
+Bezier.prototype.equals = function(other) {
+  if (this == other) {
+    return true;
+  }
+  if (!other || other.points.length != this.points.length) {
+    return false;
+  }
+  return this.points.every(function(point, i) {
+    return Coordinate.equals(point, other.points[i]);
+  });
+};
+
+
+/**
+ * @return {number} 2 for a quadratic curve, 3 for a cubic curve.
+ */
+Bezier.prototype.getDegree = function() {
+  return this.points.length - 1;
+};
+
+
+/**
+ * Reverses the direction of the curve in place.
+ * @return {!Bezier} This curve after flipping.
+ */
+Bezier.prototype.flip = function() {
+  this.points.reverse();
+  return this;
+};
+
+
+/**
+ * Computes the curve at a point between 0 and 1.
+ * @param {number} t The point on the curve to find.
+ * @return {!Coordinate} The computed coordinate.
+ */
+Bezier.prototype.getPoint = function(t) {
+  var points = this.points.map(function(point) {
+    return point.clone();
+  });
+  // de Casteljau's algorithm, collapsing the control polygon in place.
+  for (var n = points.length - 1; n > 0; n--) {
+    for (var i = 0; i < n; i++) {
+      points[i] = Coordinate.lerp(points[i], points[i + 1], t);
+    }
+  }
+  return points[0];
+};
+
+
+/**
+ * Computes the derivative of the curve at a point between 0 and 1, i.e. the
+ * velocity with which {@code getPoint} moves as t grows.
+ * @param {number} t The point on the curve.
+ * @return {!Coordinate} The derivative vector.
+ */
+Bezier.prototype.getDerivative = function(t) {
+  return Bezier.getPointOf_(Bezier.getDerivativePoints_(this.points), t);
+};
+
+
+/**
+ * Computes the unit tangent of the curve at a point between 0 and 1. Where the
+ * derivative vanishes, as when a control point coincides with an end point,
+ * the direction from the start point to the end point is used instead.
+ * @param {number} t The point on the curve.
+ * @return {!Coordinate} The tangent vector of length 1.
+ */
+Bezier.prototype.getTangent = function(t) {
+  var tangent = this.getDerivative(t);
+  if (!tangent.magnitude()) {
+    tangent = Coordinate.difference(this.points[this.points.length - 1],
+                                    this.points[0]);
+  }
+  return tangent.magnitude() ? tangent.normalize() : tangent;
+};
+
+
+/**
+ * Splits the curve at a point between 0 and 1.
+ * @param {number} t The point to split the curve at.
+ * @return {!Array.<!Bezier>} Two new curves of the same degree, the first
+ *     going from the start point to the point at t, the second from the point
+ *     at t to the end point.
+ */
+Bezier.prototype.subdivide = function(t) {
+  var points = this.points;
+  var left = [points[0]];
+  var right = [points[points.length - 1]];
+  while (points.length > 1) {
+    var next = [];
+    for (var i = 0; i < points.length - 1; i++) {
+      next.push(Coordinate.lerp(points[i], points[i + 1], t));
+    }
+    left.push(next[0]);
+    right.unshift(next[next.length - 1]);
+    points = next;
+  }
+  return [Bezier.createFromCoordinates(left),
+          Bezier.createFromCoordinates(right)];
+};
+
+
+/**
+ * Returns the smallest rectangle containing the whole curve, which is usually
+ * smaller than the rectangle containing all the control points.
+ * @return {!Rect} The bounding rectangle of the curve.
+ */
+Bezier.prototype.getBounds = function() {
+  var points = this.points;
+  var extremes = [points[0], points[points.length - 1]];
+  var derivative = Bezier.getDerivativePoints_(points);
+  var roots = Bezier.getRoots_(derivative.map(function(point) {
+    return point.x;
+  })).concat(Bezier.getRoots_(derivative.map(function(point) {
+    return point.y;
+  })));
+  for (var i = 0; i < roots.length; i++) {
+    if (roots[i] > 0 && roots[i] < 1) {
+      extremes.push(this.getPoint(roots[i]));
+    }
+  }
+  return Rect.createFromBox(Box.boundingBox.apply(null, extremes));
+};
+
+
+/**
+ * Approximates the length of the curve using Gauss-Legendre quadrature.
+ * @param {number=} opt_segments Number of pieces the curve is split into for
+ *     the integration, defaults to 16. More pieces give a more precise result.
+ * @return {number} The length of the curve.
+ */
+Bezier.prototype.getLength = function(opt_segments) {
+  var segments = opt_segments || 16;
+  var derivative = Bezier.getDerivativePoints_(this.points);
+  var length = 0;
+  for (var i = 0; i < segments; i++) {
+    for (var j = 0; j < Bezier.GAUSS_NODES_.length; j++) {
+      var t = (i + (Bezier.GAUSS_NODES_[j] + 1) / 2) / segments;
+      length += Bezier.GAUSS_WEIGHTS_[j] *
+          Bezier.getPointOf_(derivative, t).magnitude();
+    }
+  }
+  return length / (2 * segments);
+};
+
+
+/**
+ * Computes the position t of a point on the curve given its x coordinate.
+ * That is, for an input xVal, finds t s.t. getPoint(t).x = xVal.
+ * As such, the following should always be true up to some small epsilon:
+ * t ~ solvePositionFromXValue(getPoint(t).x) for t in [0, 1].
+ * This assumes the x coordinates of the curve only grow, as they do for
+ * timing functions.
+ * @param {number} xVal The x coordinate of the point to find on the curve.
+ * @return {number} The position t.
+ */
+Bezier.prototype.solvePositionFromXValue = function(xVal) {
+  var epsilon = 1e-7;
+  var start = this.points[0].x;
+  var end = this.points[this.points.length - 1].x;
+
+  // Initial estimate of t using linear interpolation.
+  var t = XMath.ratio(start, end, xVal);
+  if (t <= 0) {
+    return 0;
+  } else if (t >= 1) {
+    return 1;
+  }
+
+  // Try Newton's method to solve for t. If it works, it is very fast.
+  var tMin = 0;
+  var tMax = 1;
+  var value = 0;
+  for (var i = 0; i < 8; i++) {
+    value = this.getPoint(t).x;
+    var derivative = this.getDerivative(t).x;
+    if (Math.abs(value - xVal) < epsilon) {
+      return t;
+    } else if (Math.abs(derivative) < epsilon) {
+      break;
+    } else {
+      if (value < xVal) {
+        tMin = t;
+      } else {
+        tMax = t;
+      }
+      t -= (value - xVal) / derivative;
+      if (t <= tMin || t >= tMax) {
+        t = (tMin + tMax) / 2;
+      }
+    }
+  }
+
+  // If Newton's method got stuck, e.g. because the derivative was close to 0,
+  // use bisection instead.
+  value = this.getPoint(t).x;
+  for (i = 0; Math.abs(value - xVal) > epsilon && i < 50; i++) {
+    if (value < xVal) {
+      tMin = t;
+      t = (t + tMax) / 2;
+    } else {
+      tMax = t;
+      t = (t + tMin) / 2;
+    }
+    value = this.getPoint(t).x;
+  }
+  return t;
+};
+
+
+/**
+ * Computes the y coordinate of a point on the curve given its x coordinate.
+ * This is how CSS {@code cubic-bezier} timing functions map progress in time
+ * to animation progress.
+ * @param {number} xVal The x coordinate of the point on the curve.
+ * @return {number} The y coordinate of the point on the curve.
+ */
+Bezier.prototype.solveYValueFromXValue = function(xVal) {
+  return this.getPoint(this.solvePositionFromXValue(xVal)).y;
+};
+
+
+/**
+ * Nodes of the 5-point Gauss-Legendre quadrature on [-1, 1].
+ * @type {!Array.<number>}
+ * @private
+ */
+Bezier.GAUSS_NODES_ = [
+  0, -0.5384693101056831, 0.5384693101056831,
+  -0.9061798459386640, 0.9061798459386640
+];
+
+
+/**
+ * Weights of the 5-point Gauss-Legendre quadrature.
+ * @type {!Array.<number>}
+ * @private
+ */
+Bezier.GAUSS_WEIGHTS_ = [
+  0.5688888888888889, 0.4786286704993665, 0.4786286704993665,
+  0.2369268850561891, 0.2369268850561891
+];
+
+
+/**
+ * Returns the control points of the derivative of a curve, which is a curve
+ * of one lower degree.
+ * @param {!Array.<!Coordinate>} points Control points.
+ * @return {!Array.<!Coordinate>} Control points of the derivative.
+ * @private
+ */
+Bezier.getDerivativePoints_ = function(points) {
+  var n = points.length - 1;
+  var result = [];
+  for (var i = 0; i < n; i++) {
+    result.push(Coordinate.difference(points[i + 1], points[i]).scale(n));
+  }
+  return result;
+};
+
+
+/**
+ * Evaluates a curve of any degree given by its control points.
+ * @param {!Array.<!Coordinate>} points Control points.
+ * @param {number} t The point on the curve.
+ * @return {!Coordinate} The computed coordinate.
+ * @private
+ */
+Bezier.getPointOf_ = function(points, t) {
+  return Bezier.prototype.getPoint.call({points: points}, t);
+};
+
+
+/**
+ * Finds the roots of a linear or quadratic polynomial given by its Bernstein
+ * coefficients.
+ * @param {!Array.<number>} c Two or three coefficients.
+ * @return {!Array.<number>} The real roots.
+ * @private
+ */
+Bezier.getRoots_ = function(c) {
+  if (c.length == 2) {
+    return c[0] == c[1] ? [] : [c[0] / (c[0] - c[1])];
+  }
+  // c0 (1 - t)^2 + 2 c1 t (1 - t) + c2 t^2 = a t^2 + b t + c0
+  var a = c[0] - 2 * c[1] + c[2];
+  var b = 2 * (c[1] - c[0]);
+  if (XMath.nearlyEquals(a, 0, 1e-12)) {
+    return b ? [-c[0] / b] : [];
+  }
+  var discriminant = b * b - 4 * a * c[0];
+  if (discriminant < 0) {
+    return [];
+  }
+  var root = Math.sqrt(discriminant);
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+};
+
+module.exports = Bezier;
@@ -2,6 +2,9 @@
 // http://docs.closure-library.googlecode.com/git/closure_goog_math_box.js.source.html
 
 var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Size = require('./size');
+var XMath = require('./math');
 
 /**
  * Class for representing a box. A box is specified as a top, right, bottom,
@@ -40,6 +43,63 @@ var Box = function(top, right, bottom, left) {
 };
 
 
+/**
+ * Values accepted wherever a Box is expected: a Box, any object with numeric
+ * top, right, bottom and left properties (such as the result of
+ * {@code Element.prototype.getBoundingClientRect}), an object with numeric
+ * left, top, width and height or x, y, width and height properties. Arrays
+ * are not accepted, since {@code Rect.RectLike} reads four numbers as
+ * [left, top, width, height].
+ * @typedef {Box|{top: number, right: number, bottom: number, left: number}|
+ *     {left: number, top: number, width: number, height: number}|
+ *     {x: number, y: number, width: number, height: number}}
+ */
+Box.BoxLike;
+
+
+/**
+ * Returns whether a value can be used as a Box.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether {@code value} is box-like.
+ */
+Box.isBoxLike = function(value) {
+  if (value instanceof Box) {
+    return true;
+  }
+  return !!value && !Array.isArray(value) &&
+      (XMath.isNumber(value.top) && XMath.isNumber(value.right) &&
+          XMath.isNumber(value.bottom) && XMath.isNumber(value.left) ||
+       XMath.isNumber(value.width) && XMath.isNumber(value.height) &&
+          (XMath.isNumber(value.left) && XMath.isNumber(value.top) ||
+           XMath.isNumber(value.x) && XMath.isNumber(value.y)));
+};
+
+
+/**
+ * Converts a box-like value to a Box.
+ * @param {Box.BoxLike} value The value to convert.
+ * @return {!Box} {@code value} itself if it is a Box, otherwise a new Box
+ *     with the same edges.
+ * @throws {TypeError} If {@code value} is not box-like.
+ */
+Box.coerce = function(value) {
+  if (value instanceof Box) {
+    return value;
+  }
+  if (!Box.isBoxLike(value)) {
+    throw new TypeError('Expected a box-like value ({top, right, bottom, ' +
+        'left}, {left, top, width, height} or {x, y, width, height}), got ' +
+        Json.describe(value));
+  }
+  if (XMath.isNumber(value.right) && XMath.isNumber(value.bottom)) {
+    return new Box(value.top, value.right, value.bottom, value.left);
+  }
+  var left = XMath.isNumber(value.left) ? value.left : value.x;
+  var top = XMath.isNumber(value.top) ? value.top : value.y;
+  return new Box(top, left + value.width, top + value.height, left);
+};
+
+
 /**
  * Creates a Box by bounding a collection of Coordinate objects
  * @param {...Coordinate} var_args Coordinates to be included inside
@@ -47,10 +107,10 @@ var Box = function(top, right, bottom, left) {
  * @return {!Box} A Box containing all the specified Coordinates.
  */
 Box.boundingBox = function(var_args) {
-  var box = new Box(arguments[0].y, arguments[0].x,
-                              arguments[0].y, arguments[0].x);
+  var first = Coordinate.coerce(arguments[0]);
+  var box = new Box(first.y, first.x, first.y, first.x);
   for (var i = 1; i < arguments.length; i++) {
-    var coord = arguments[i];
+    var coord = Coordinate.coerce(arguments[i]);
     box.top = Math.min(box.top, coord.y);
     box.right = Math.max(box.right, coord.x);
     box.bottom = Math.max(box.bottom, coord.y);
@@ -61,6 +121,8 @@ Box.boundingBox = function(var_args) {
 
 
 Box.createAtOffset = function(offset, size) {
+  offset = Coordinate.coerce(offset);
+  size = Size.coerce(size);
   return new Box(
     offset.y,
     offset.x + size.width,
@@ -70,6 +132,8 @@ Box.createAtOffset = function(offset, size) {
 
 
 Box.createAroundCenter = function(center, size) {
+  center = Coordinate.coerce(center);
+  size = Size.coerce(size);
   var w = size.width / 2;
   var h = size.height / 2;
   return new Box(center.y - h, center.x + w, center.y + h, center.x - w);
@@ -137,10 +201,208 @@ Box.prototype.toJSON = function() {
 };
 
 
+/**
+ * Creates a box from the output of {@code toJSON}.
+ * @param {*} json An array of four numbers [top, right, bottom, left].
+ * @return {!Box} A new Box.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Box.fromJSON = function(json) {
+  if (!Array.isArray(json) || json.length != 4 ||
+      !json.every(XMath.isNumber)) {
+    throw new TypeError('Expected [top, right, bottom, left], got ' +
+        Json.describe(json));
+  }
+  return new Box(json[0], json[1], json[2], json[3]);
+};
+
+
+/**
+ * Creates a box from the output of {@code toString}.
+ * @param {string} str A string in the form (50t, 73r, 24b, 13l).
+ * @return {!Box} A new Box.
+ */
+Box.parse = function(str) {
+  var match =
+      /^\s*\(([^,()]*)t,([^,()]*)r,([^,()]*)b,([^,()]*)l\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid box string: ' + str);
+  }
+  return new Box(values[0], values[1], values[2], values[3]);
+};
+
+
+/**
+ * Converts a CSS length in a unit other than px, such as em, rem or %, to
+ * pixels. Called with the number, the lower case unit and the side of the box
+ * the length is for ('top', 'right', 'bottom' or 'left').
+ * @typedef {function(number, string, string): number}
+ */
+Box.CssUnitResolver;
+
+
+/**
+ * Creates a box from a CSS margin, padding or border-width shorthand of one to
+ * four lengths, such as "10px 5px" or "1em 2em 3em". Lengths in px and unitless
+ * zeros are taken as they are, other units are converted by
+ * {@code opt_resolver}.
+ * @param {string} str The shorthand value.
+ * @param {Box.CssUnitResolver=} opt_resolver Converts lengths in other units
+ *     to pixels.
+ * @return {!Box} A new Box, in pixels.
+ */
+Box.fromCssShorthand = function(str, opt_resolver) {
+  var tokens = String(str).trim().split(/\s+/);
+  if (tokens.length > 4 || tokens[0] === '') {
+    throw Error('Invalid CSS box shorthand: ' + str);
+  }
+  // Missing values are copied from the opposite side, as in CSS.
+  var values = [tokens[0], tokens[1] || tokens[0], tokens[2] || tokens[0]];
+  values.push(tokens[3] || values[1]);
+  var sides = ['top', 'right', 'bottom', 'left'];
+  var lengths = values.map(function(value, i) {
+    var length = Box.parseCssLength_(value, sides[i], opt_resolver);
+    if (isNaN(length)) {
+      throw Error('Invalid CSS box shorthand: ' + str);
+    }
+    return length;
+  });
+  return new Box(lengths[0], lengths[1], lengths[2], lengths[3]);
+};
+
+
+/**
+ * Returns the box as the shortest equivalent CSS shorthand, in pixels.
+ * @return {string} In the form 10px 5px 0 or 0.
+ */
+Box.prototype.toCssShorthand = function() {
+  var values = [this.top, this.right, this.bottom, this.left];
+  if (this.left == this.right) {
+    values.pop();
+    if (this.bottom == this.top) {
+      values.pop();
+      if (this.right == this.top) {
+        values.pop();
+      }
+    }
+  }
+  return values.map(function(value) {
+    return value == 0 ? '0' : value + 'px';
+  }).join(' ');
+};
+
+
+/**
+ * Creates a box from the margin, padding or border widths in a style
+ * declaration, such as the result of {@code window.getComputedStyle} or a
+ * plain object with the same properties. The longhand properties, such as
+ * marginTop or margin-top, are used when present, otherwise the shorthand.
+ * @param {!Object} style The style declaration.
+ * @param {string} property 'margin', 'padding' or 'border'.
+ * @param {Box.CssUnitResolver=} opt_resolver Converts lengths in units other
+ *     than px to pixels.
+ * @return {!Box} A new Box, in pixels.
+ */
+Box.createFromStyle = function(style, property, opt_resolver) {
+  var suffix = property == 'border' ? '-width' : '';
+  var sides = ['top', 'right', 'bottom', 'left'];
+  var values = sides.map(function(side) {
+    return Box.getStyleValue_(style, property + '-' + side + suffix);
+  });
+  if (values.some(function(value) {
+    return value == null || value === '';
+  })) {
+    var shorthand = Box.getStyleValue_(style, property + suffix);
+    if (shorthand == null || shorthand === '') {
+      throw Error('Style has no ' + property + suffix + ' value');
+    }
+    return Box.fromCssShorthand(shorthand, opt_resolver);
+  }
+  var lengths = values.map(function(value, i) {
+    var length = Box.parseCssLength_(String(value).trim(), sides[i],
+                                     opt_resolver);
+    if (isNaN(length)) {
+      throw Error('Invalid ' + property + '-' + sides[i] + suffix +
+          ' value: ' + value);
+    }
+    return length;
+  });
+  return new Box(lengths[0], lengths[1], lengths[2], lengths[3]);
+};
+
+
+/**
+ * Creates a box from the result of
+ * {@code Element.prototype.getBoundingClientRect} or any other object with
+ * numeric top, right, bottom and left properties.
+ * @param {{top: number, right: number, bottom: number, left: number}} rect
+ *     The client rectangle.
+ * @return {!Box} A new Box with the same edges.
+ */
+Box.createFromClientRect = function(rect) {
+  return new Box(rect.top, rect.right, rect.bottom, rect.left);
+};
+
+
+/**
+ * @param {string} token A single CSS length.
+ * @param {string} side The side of the box the length is for.
+ * @param {Box.CssUnitResolver=} opt_resolver Converts lengths in units other
+ *     than px to pixels.
+ * @return {number} The length in pixels, or NaN if {@code token} is not a
+ *     valid length.
+ * @private
+ */
+Box.parseCssLength_ = function(token, side, opt_resolver) {
+  var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*|%)$/i.exec(
+      token);
+  if (!match) {
+    return NaN;
+  }
+  var value = Number(match[1]);
+  var unit = match[2].toLowerCase();
+  if (unit == 'px' || unit == '' && value == 0) {
+    return value;
+  }
+  if (unit == '') {
+    return NaN;
+  }
+  if (!opt_resolver) {
+    throw Error('No resolver for CSS unit ' + unit + ' in ' + token);
+  }
+  var length = opt_resolver(value, unit, side);
+  if (!XMath.isNumber(length)) {
+    throw Error('Resolver returned ' + length + ' for ' + token);
+  }
+  return length;
+};
+
+
+/**
+ * @param {!Object} style A style declaration.
+ * @param {string} name A hyphenated property name, such as margin-top.
+ * @return {*} The value of the property, if any.
+ * @private
+ */
+Box.getStyleValue_ = function(style, name) {
+  if (typeof style.getPropertyValue == 'function') {
+    var value = style.getPropertyValue(name);
+    if (value) {
+      return value;
+    }
+  }
+  var camelCase = name.replace(/-([a-z])/g, function(all, letter) {
+    return letter.toUpperCase();
+  });
+  return camelCase in style ? style[camelCase] : style[name];
+};
+
+
 /**
  * Returns whether the box contains a coordinate or another box.
  *
- * @param {Coordinate|Box} other A Coordinate or a Box.
+ * @param {Coordinate.PointLike|Box.BoxLike} other A Coordinate or a Box.
  * @return {boolean} Whether the box contains the coordinate or other box.
  */
 Box.prototype.contains = function(other) {
@@ -159,7 +421,8 @@ Box.prototype.contains = function(other) {
  */
 Box.prototype.expand = function(top, opt_right, opt_bottom,
     opt_left) {
-  if (Object.isObject(top)) {
+  if (!XMath.isNumber(top)) {
+    top = Box.coerce(top);
     this.top -= top.top;
     this.right += top.right;
     this.bottom += top.bottom;
@@ -175,6 +438,22 @@ Box.prototype.expand = function(top, opt_right, opt_bottom,
 };
 
 
+/**
+ * Returns a copy of a box expanded with the given margins, see
+ * {@code Box.prototype.expand}.
+ *
+ * @param {!Box} a A Box.
+ * @param {number|Box} top Top margin or box with all margins.
+ * @param {number=} opt_right Right margin.
+ * @param {number=} opt_bottom Bottom margin.
+ * @param {number=} opt_left Left margin.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.expand = function(a, top, opt_right, opt_bottom, opt_left) {
+  return Box.coerce(a).clone().expand(top, opt_right, opt_bottom, opt_left);
+};
+
+
 /**
  * Expand this box to include another box.
  * NOTE(user): This is used in code that needs to be very fast, please don't
@@ -190,6 +469,20 @@ Box.prototype.expandToInclude = function(box) {
 };
 
 
+/**
+ * Returns a new box which completely contains both input boxes.
+ *
+ * @param {!Box} a A Box.
+ * @param {!Box} b A Box.
+ * @return {!Box} A new bounding Box, neither box is changed.
+ */
+Box.expandToInclude = function(a, b) {
+  var box = Box.coerce(a).clone();
+  box.expandToInclude(Box.coerce(b));
+  return box;
+};
+
+
 /**
  * Returns the size of the box.
  * @return {!Size} The size of the box.
@@ -218,9 +511,11 @@ Box.equals = function(a, b) {
   if (a == b) {
     return true;
   }
-  if (!a || !b) {
+  if (!Box.isBoxLike(a) || !Box.isBoxLike(b)) {
     return false;
   }
+  a = Box.coerce(a);
+  b = Box.coerce(b);
   return a.top == b.top && a.right == b.right &&
          a.bottom == b.bottom && a.left == b.left;
 };
@@ -230,7 +525,7 @@ Box.equals = function(a, b) {
  * Returns whether a box contains a coordinate or another box.
  *
  * @param {Box} box A Box.
- * @param {Coordinate|Box} other A Coordinate or a Box.
+ * @param {Coordinate.PointLike|Box.BoxLike} other A Coordinate or a Box.
  * @return {boolean} Whether the box contains the coordinate or other box.
  */
 Box.contains = function(box, other) {
@@ -238,12 +533,14 @@ Box.contains = function(box, other) {
     return false;
   }
 
-  if (other instanceof Box) {
+  box = Box.coerce(box);
+  if (Box.isBoxLike(other)) {
+    other = Box.coerce(other);
     return other.left >= box.left && other.right <= box.right &&
         other.top >= box.top && other.bottom <= box.bottom;
   }
 
-  // other is a Coordinate.
+  other = Coordinate.coerce(other);
   return other.x >= box.left && other.x <= box.right &&
          other.y >= box.top && other.y <= box.bottom;
 };
@@ -259,6 +556,8 @@ Box.contains = function(box, other) {
  *     side of {@code box}, or zero if {@code coord} is inside {@code box}.
  */
 Box.relativePositionX = function(box, coord) {
+  box = Box.coerce(box);
+  coord = Coordinate.coerce(coord);
   if (coord.x < box.left) {
     return coord.x - box.left;
   } else if (coord.x > box.right) {
@@ -278,6 +577,8 @@ Box.relativePositionX = function(box, coord) {
  *     side of {@code box}, or zero if {@code coord} is inside {@code box}.
  */
 Box.relativePositionY = function(box, coord) {
+  box = Box.coerce(box);
+  coord = Coordinate.coerce(coord);
   if (coord.y < box.top) {
     return coord.y - box.top;
   } else if (coord.y > box.bottom) {
@@ -312,6 +613,8 @@ Box.distance = function(box, coord) {
  * @return {boolean} Whether the boxes intersect.
  */
 Box.intersects = function(a, b) {
+  a = Box.coerce(a);
+  b = Box.coerce(b);
   return (a.left <= b.right && b.left <= a.right &&
           a.top <= b.bottom && b.top <= a.bottom);
 };
@@ -326,11 +629,172 @@ Box.intersects = function(a, b) {
  * @return {boolean} Whether the boxes intersect.
  */
 Box.intersectsWithPadding = function(a, b, padding) {
+  a = Box.coerce(a);
+  b = Box.coerce(b);
   return (a.left <= b.right + padding && b.left <= a.right + padding &&
           a.top <= b.bottom + padding && b.top <= a.bottom + padding);
 };
 
 
+/**
+ * Returns the shortest translation moving a box out of another one, along
+ * either axis.
+ *
+ * @param {Box.BoxLike} a The Box to move.
+ * @param {Box.BoxLike} b The Box to move out of.
+ * @param {number=} opt_padding Additional padding to keep between the boxes,
+ *     as for {@code Box.intersectsWithPadding}.
+ * @return {Coordinate} The translation to apply to {@code a}, or null if the
+ *     boxes do not intersect. Boxes which only touch need no translation.
+ */
+Box.minimumTranslation = function(a, b, opt_padding) {
+  a = Box.coerce(a);
+  b = Box.coerce(b);
+  var padding = opt_padding || 0;
+  if (!Box.intersectsWithPadding(a, b, padding)) {
+    return null;
+  }
+  var translations = [
+    new Coordinate(b.left - padding - a.right, 0),
+    new Coordinate(b.right + padding - a.left, 0),
+    new Coordinate(0, b.top - padding - a.bottom),
+    new Coordinate(0, b.bottom + padding - a.top)
+  ];
+  return translations.reduce(function(shortest, translation) {
+    return Coordinate.magnitude(translation) <
+        Coordinate.magnitude(shortest) ? translation : shortest;
+  });
+};
+
+
+/**
+ * Finds when a box moving in a straight line first hits a static one, also
+ * known as swept AABB collision. Boxes which only touch, or move along each
+ * other's edges, do not collide.
+ *
+ * @param {Box.BoxLike} box The moving Box, at its start position.
+ * @param {Coordinate.PointLike} velocity The translation of {@code box}
+ *     between times 0 and 1.
+ * @param {Box.BoxLike} obstacle The static Box.
+ * @return {?{time: number, normal: !Coordinate}} The time of impact from 0 to
+ *     1, and the unit normal of the side of {@code obstacle} hit, or null if
+ *     the boxes do not collide before time 1. Boxes which already overlap
+ *     collide at time 0 with a zero normal.
+ */
+Box.sweep = function(box, velocity, obstacle) {
+  box = Box.coerce(box);
+  velocity = Coordinate.coerce(velocity);
+  obstacle = Box.coerce(obstacle);
+  var x = Box.sweepAxis_(box.left, box.right, velocity.x,
+                         obstacle.left, obstacle.right);
+  var y = Box.sweepAxis_(box.top, box.bottom, velocity.y,
+                         obstacle.top, obstacle.bottom);
+  if (!x || !y) {
+    return null;
+  }
+  var entry = Math.max(x.entry, y.entry);
+  var exit = Math.min(x.exit, y.exit);
+  if (entry >= exit || entry >= 1 || exit <= 0) {
+    return null;
+  }
+  if (entry < 0) {
+    return {time: 0, normal: new Coordinate(0, 0)};
+  }
+  var normal = x.entry >= y.entry ?
+      new Coordinate(-XMath.sign(velocity.x), 0) :
+      new Coordinate(0, -XMath.sign(velocity.y));
+  return {time: entry, normal: normal};
+};
+
+
+/**
+ * Finds where a ray enters and leaves a box.
+ *
+ * @param {Box.BoxLike} box A Box.
+ * @param {Coordinate.PointLike} origin The start of the ray.
+ * @param {Coordinate.PointLike} direction The direction of the ray. The times
+ *     returned are in multiples of it, so a segment from {@code origin} to
+ *     {@code origin + direction} hits the box if the entry time is at most 1.
+ * @return {?{entry: !Coordinate, exit: !Coordinate, entryTime: number,
+ *     exitTime: number}} The points where the ray enters and leaves the box,
+ *     and the times at which it reaches them, or null if it misses the box
+ *     or {@code direction} is zero. The entry is the origin if it is inside
+ *     the box.
+ */
+Box.intersectRay = function(box, origin, direction) {
+  box = Box.coerce(box);
+  origin = Coordinate.coerce(origin);
+  direction = Coordinate.coerce(direction);
+  if (!direction.x && !direction.y) {
+    return null;
+  }
+  var x = Box.raySlab_(origin.x, direction.x, box.left, box.right);
+  var y = Box.raySlab_(origin.y, direction.y, box.top, box.bottom);
+  if (!x || !y) {
+    return null;
+  }
+  var entryTime = Math.max(x.entry, y.entry, 0);
+  var exitTime = Math.min(x.exit, y.exit);
+  if (exitTime < entryTime) {
+    return null;
+  }
+  return {
+    entry: Coordinate.sum(origin, Coordinate.scale(direction, entryTime)),
+    exit: Coordinate.sum(origin, Coordinate.scale(direction, exitTime)),
+    entryTime: entryTime,
+    exitTime: exitTime
+  };
+};
+
+
+/**
+ * Computes when a moving interval overlaps a static one.
+ * @param {number} start The start of the moving interval.
+ * @param {number} end The end of the moving interval.
+ * @param {number} velocity The speed of the moving interval.
+ * @param {number} obstacleStart The start of the static interval.
+ * @param {number} obstacleEnd The end of the static interval.
+ * @return {?{entry: number, exit: number}} When the intervals start and stop
+ *     overlapping, or null if they never do.
+ * @private
+ */
+Box.sweepAxis_ = function(start, end, velocity, obstacleStart, obstacleEnd) {
+  if (!velocity) {
+    return end <= obstacleStart || start >= obstacleEnd ?
+        null : {entry: -Infinity, exit: Infinity};
+  }
+  var times = [(obstacleStart - end) / velocity,
+               (obstacleEnd - start) / velocity];
+  return {
+    entry: Math.min(times[0], times[1]),
+    exit: Math.max(times[0], times[1])
+  };
+};
+
+
+/**
+ * Computes when a ray is between two parallel lines.
+ * @param {number} origin The start of the ray along the axis.
+ * @param {number} direction The direction of the ray along the axis.
+ * @param {number} min The smaller bound of the slab.
+ * @param {number} max The larger bound of the slab.
+ * @return {?{entry: number, exit: number}} When the ray enters and leaves the
+ *     slab, or null if it never is inside it.
+ * @private
+ */
+Box.raySlab_ = function(origin, direction, min, max) {
+  if (!direction) {
+    return origin < min || origin > max ?
+        null : {entry: -Infinity, exit: Infinity};
+  }
+  var times = [(min - origin) / direction, (max - origin) / direction];
+  return {
+    entry: Math.min(times[0], times[1]),
+    exit: Math.max(times[0], times[1])
+  };
+};
+
+
 /**
  * Rounds the fields to the next larger integer values.
  *
@@ -345,6 +809,18 @@ Box.prototype.ceil = function() {
 };
 
 
+/**
+ * Returns a copy of a box with its fields rounded to the next larger integer
+ * values.
+ *
+ * @param {!Box} a A Box.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.ceil = function(a) {
+  return Box.coerce(a).clone().ceil();
+};
+
+
 /**
  * Rounds the fields to the next smaller integer values.
  *
@@ -359,6 +835,18 @@ Box.prototype.floor = function() {
 };
 
 
+/**
+ * Returns a copy of a box with its fields rounded to the next smaller integer
+ * values.
+ *
+ * @param {!Box} a A Box.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.floor = function(a) {
+  return Box.coerce(a).clone().floor();
+};
+
+
 /**
  * Rounds the fields to nearest integer values.
  *
@@ -374,7 +862,18 @@ Box.prototype.round = function() {
 
 
 /**
- * Translates this box by the given offsets. If a {@code Coordinate}
+ * Returns a copy of a box with its fields rounded to nearest integer values.
+ *
+ * @param {!Box} a A Box.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.round = function(a) {
+  return Box.coerce(a).clone().round();
+};
+
+
+/**
+ * Translates this box by the given offsets. If a point-like value
  * is given, then the left and right values are translated by the coordinate's
  * x value and the top and bottom values are translated by the coordinate's y
  * value.  Otherwise, {@code tx} and {@code opt_ty} are used to translate the x
@@ -386,7 +885,8 @@ Box.prototype.round = function() {
  * @return {!Box} This box after translating.
  */
 Box.prototype.translate = function(tx, opt_ty) {
-  if (tx instanceof Coordinate) {
+  if (!XMath.isNumber(tx)) {
+    tx = Coordinate.coerce(tx);
     this.left += tx.x;
     this.right += tx.x;
     this.top += tx.y;
@@ -403,6 +903,21 @@ Box.prototype.translate = function(tx, opt_ty) {
 };
 
 
+/**
+ * Returns a copy of a box translated by the given offsets, see
+ * {@code Box.prototype.translate}.
+ *
+ * @param {!Box} a A Box.
+ * @param {number|Coordinate} tx The value to translate the x
+ *     dimension values by or the the coordinate to translate by.
+ * @param {number=} opt_ty The value to translate y dimension values by.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.translate = function(a, tx, opt_ty) {
+  return Box.coerce(a).clone().translate(tx, opt_ty);
+};
+
+
 /**
  * Scales this coordinate by the given scale factors. The x and y dimension
  * values are scaled by {@code sx} and {@code opt_sy} respectively.
@@ -421,4 +936,36 @@ Box.prototype.scale = function(sx, opt_sy) {
   return this;
 };
 
+
+/**
+ * Returns a copy of a box scaled by the given scale factors, see
+ * {@code Box.prototype.scale}.
+ *
+ * @param {!Box} a A Box.
+ * @param {number} sx The scale factor to use for the x dimension.
+ * @param {number=} opt_sy The scale factor to use for the y dimension.
+ * @return {!Box} A new Box, {@code a} is not changed.
+ */
+Box.scale = function(a, sx, opt_sy) {
+  return Box.coerce(a).clone().scale(sx, opt_sy);
+};
+
+
+/**
+ * Returns a new Box that is the linear interpolant between boxes a and b at
+ * scale-value x.
+ * @param {Box.BoxLike} a Box a.
+ * @param {Box.BoxLike} b Box b.
+ * @param {number} x The proportion between a and b.
+ * @return {!Box} The interpolated box.
+ */
+Box.lerp = function(a, b, x) {
+  a = Box.coerce(a);
+  b = Box.coerce(b);
+  return new Box(XMath.lerp(a.top, b.top, x),
+                 XMath.lerp(a.right, b.right, x),
+                 XMath.lerp(a.bottom, b.bottom, x),
+                 XMath.lerp(a.left, b.left, x));
+};
+
 module.exports = Box;
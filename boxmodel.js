@@ -0,0 +1,243 @@
+var Box = require('./box');
+var Rect = require('./rect');
+var Size = require('./size');
+
+/**
+ * Class for converting between the areas of the CSS box model of an element:
+ * its content box, padding box, border box and margin box, each enclosing the
+ * previous one.
+ * @param {Box.BoxLike=} opt_margin The margin widths, defaults to none.
+ * @param {Box.BoxLike=} opt_border The border widths, defaults to none.
+ * @param {Box.BoxLike=} opt_padding The padding widths, defaults to none.
+ * @constructor
+ */
+var BoxModel = function(opt_margin, opt_border, opt_padding) {
+  /**
+   * Margin
+   * @type {!Box}
+   */
+  this.margin = BoxModel.createEdges_(opt_margin);
+
+  /**
+   * Border
+   * @type {!Box}
+   */
+  this.border = BoxModel.createEdges_(opt_border);
+
+  /**
+   * Padding
+   * @type {!Box}
+   */
+  this.padding = BoxModel.createEdges_(opt_padding);
+};
+
+
+/**
+ * The areas of the box model, from the innermost one, named after the CSS
+ * {@code box-sizing} and {@code background-clip} values.
+ * @enum {string}
+ */
+BoxModel.Area = {
+  CONTENT: 'content-box',
+  PADDING: 'padding-box',
+  BORDER: 'border-box',
+  MARGIN: 'margin-box'
+};
+
+
+/**
+ * The values of the CSS {@code box-sizing} property, which decides the area
+ * measured by the CSS width and height.
+ * @enum {string}
+ */
+BoxModel.BoxSizing = {
+  CONTENT_BOX: BoxModel.Area.CONTENT,
+  BORDER_BOX: BoxModel.Area.BORDER
+};
+
+
+/**
+ * The areas in order, from the innermost one.
+ * @type {!Array.<BoxModel.Area>}
+ * @private
+ */
+BoxModel.AREAS_ = [
+  BoxModel.Area.CONTENT,
+  BoxModel.Area.PADDING,
+  BoxModel.Area.BORDER,
+  BoxModel.Area.MARGIN
+];
+
+
+/**
+ * Creates a box model from the margin, border and padding widths in a style
+ * declaration, see {@code Box.createFromStyle}.
+ * @param {!Object} style The style declaration, such as the result of
+ *     {@code window.getComputedStyle}.
+ * @param {Box.CssUnitResolver=} opt_resolver Converts lengths in units other
+ *     than px to pixels.
+ * @return {!BoxModel} A new BoxModel.
+ */
+BoxModel.createFromStyle = function(style, opt_resolver) {
+  return new BoxModel(Box.createFromStyle(style, 'margin', opt_resolver),
+                      Box.createFromStyle(style, 'border', opt_resolver),
+                      Box.createFromStyle(style, 'padding', opt_resolver));
+};
+
+
+/**
+ * @return {!BoxModel} A new copy of the box model.
+ */
+BoxModel.prototype.clone = function() {
+  return new BoxModel(this.margin, this.border, this.padding);
+};
+
+
+/**
+ * Compares box models for equality.
+ * @param {BoxModel} a A BoxModel.
+ * @param {BoxModel} b A BoxModel.
+ * @return {boolean} True iff the box models have the same margin, border and
+ *     padding, or if both are null.
+ */
+BoxModel.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return Box.equals(a.margin, b.margin) && Box.equals(a.border, b.border) &&
+      Box.equals(a.padding, b.padding);
+};
+
+
+/**
+ * Returns the widths of the edges lying between two areas, such as the
+ * padding and border widths between the content box and the border box.
+ * @param {BoxModel.Area} from One area.
+ * @param {BoxModel.Area} to The other area.
+ * @return {!Box} A new Box with the summed widths, zero if the areas are
+ *     the same.
+ */
+BoxModel.prototype.getInsets = function(from, to) {
+  var i = BoxModel.indexOf_(from);
+  var j = BoxModel.indexOf_(to);
+  var edges = [this.padding, this.border, this.margin];
+  var insets = new Box(0, 0, 0, 0);
+  for (var k = Math.min(i, j); k < Math.max(i, j); k++) {
+    insets.top += edges[k].top;
+    insets.right += edges[k].right;
+    insets.bottom += edges[k].bottom;
+    insets.left += edges[k].left;
+  }
+  return insets;
+};
+
+
+/**
+ * Converts a rectangle covering one area of the box model to the rectangle
+ * covering another area. Inner areas cannot be smaller than nothing, so
+ * their width and height are at least 0.
+ * @param {Rect.RectLike} rect The rectangle covering {@code from}.
+ * @param {BoxModel.Area} from The area covered by {@code rect}.
+ * @param {BoxModel.Area} to The area to convert to.
+ * @return {!Rect} A new Rect covering {@code to}.
+ */
+BoxModel.prototype.convert = function(rect, from, to) {
+  var insets = this.getInsets(from, to);
+  var box = Rect.coerce(rect).toBox();
+  if (BoxModel.indexOf_(to) > BoxModel.indexOf_(from)) {
+    box.expand(insets);
+  } else {
+    box.expand(-insets.top, -insets.right, -insets.bottom, -insets.left);
+  }
+  var result = Rect.createFromBox(box);
+  result.width = Math.max(result.width, 0);
+  result.height = Math.max(result.height, 0);
+  return result;
+};
+
+
+/**
+ * Converts the size of one area of the box model to the size of another
+ * area, see {@code BoxModel.prototype.convert}.
+ * @param {Size.SizeLike} size The size of {@code from}.
+ * @param {BoxModel.Area} from The area measured by {@code size}.
+ * @param {BoxModel.Area} to The area to convert to.
+ * @return {!Size} A new Size of {@code to}.
+ */
+BoxModel.prototype.convertSize = function(size, from, to) {
+  size = Size.coerce(size);
+  return this.convert(new Rect(0, 0, size.width, size.height),
+                      from, to).getSize();
+};
+
+
+/**
+ * Returns the CSS width and height giving an area of the box model a size.
+ * @param {Size.SizeLike} size The size of {@code area}.
+ * @param {BoxModel.Area} area The area measured by {@code size}.
+ * @param {BoxModel.BoxSizing=} opt_boxSizing The box-sizing of the element,
+ *     defaults to content-box.
+ * @return {!Size} A new Size holding the CSS width and height.
+ */
+BoxModel.prototype.getCssSize = function(size, area, opt_boxSizing) {
+  return this.convertSize(size, area,
+                          opt_boxSizing || BoxModel.BoxSizing.CONTENT_BOX);
+};
+
+
+/**
+ * Returns the size of an area of the box model given the CSS width and
+ * height of the element.
+ * @param {Size.SizeLike} cssSize The CSS width and height.
+ * @param {BoxModel.Area} area The area to measure.
+ * @param {BoxModel.BoxSizing=} opt_boxSizing The box-sizing of the element,
+ *     defaults to content-box.
+ * @return {!Size} A new Size of {@code area}.
+ */
+BoxModel.prototype.getSizeFromCss = function(cssSize, area, opt_boxSizing) {
+  return this.convertSize(cssSize,
+                          opt_boxSizing || BoxModel.BoxSizing.CONTENT_BOX,
+                          area);
+};
+
+
+/**
+ * Returns a nice string representing the box model.
+ * @return {string} In the form
+ *     {margin: (0t, 0r, 0b, 0l), border: ..., padding: ...}.
+ * @override
+ */
+BoxModel.prototype.toString = function() {
+  return '{margin: ' + this.margin + ', border: ' + this.border +
+         ', padding: ' + this.padding + '}';
+};
+
+
+/**
+ * @param {Box.BoxLike=} opt_edges Edge widths.
+ * @return {!Box} A new Box with the widths, or with zero widths if none are
+ *     given.
+ * @private
+ */
+BoxModel.createEdges_ = function(opt_edges) {
+  return opt_edges ? Box.coerce(opt_edges).clone() : new Box(0, 0, 0, 0);
+};
+
+
+/**
+ * @param {BoxModel.Area} area An area.
+ * @return {number} The index of the area, from the innermost one.
+ * @private
+ */
+BoxModel.indexOf_ = function(area) {
+  var index = BoxModel.AREAS_.indexOf(area);
+  if (index < 0) {
+    throw Error('Unknown box model area: ' + area);
+  }
+  return index;
+};
+
+module.exports = BoxModel;
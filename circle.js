@@ -0,0 +1,339 @@
+// Smallest enclosing circle based on Welzl's algorithm, see
+// http://en.wikipedia.org/wiki/Smallest-circle_problem
+
+var Angle = require('./angle');
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+var XMath = require('./math');
+
+/**
+ * Class for representing circles.
+ * @param {number} x X coordinate of the center.
+ * @param {number} y Y coordinate of the center.
+ * @param {number} radius Radius.
+ * @constructor
+ */
+var Circle = function(x, y, radius) {
+  /**
+   * X coordinate of the center.
+   * @type {number}
+   */
+  this.x = x;
+
+  /**
+   * Y coordinate of the center.
+   * @type {number}
+   */
+  this.y = y;
+
+  /**
+   * Radius
+   * @type {number}
+   */
+  this.radius = radius;
+};
+
+
+/**
+ * Relative tolerance for points lying on a circle, absorbing rounding errors.
+ * @type {number}
+ * @private
+ */
+Circle.EPSILON_ = 1e-10;
+
+
+/**
+ * Creates a new Circle around a center.
+ * @param {Coordinate.PointLike} center The center.
+ * @param {number} radius The radius.
+ * @return {!Circle} A new Circle.
+ */
+Circle.createAroundCenter = function(center, radius) {
+  center = Coordinate.coerce(center);
+  return new Circle(center.x, center.y, radius);
+};
+
+
+/**
+ * Finds the smallest circle containing all of the given points.
+ * @param {!Array.<Coordinate.PointLike>} points The points.
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}
+ *     to shuffle the points, which keeps the expected running time linear.
+ * @return {Circle} A new Circle, or null if there are no points.
+ */
+Circle.enclosing = function(points, opt_random) {
+  points = points.map(function(point) {
+    return Coordinate.coerce(point);
+  });
+  for (var i = points.length - 1; i > 0; i--) {
+    var j = XMath.randomInt(i + 1, opt_random);
+    var point = points[i];
+    points[i] = points[j];
+    points[j] = point;
+  }
+
+  var circle = null;
+  for (i = 0; i < points.length; i++) {
+    if (circle && Circle.containsWithTolerance_(circle, points[i])) {
+      continue;
+    }
+    // The point lies on the smallest circle enclosing the points so far.
+    circle = Circle.createAroundCenter(points[i], 0);
+    for (j = 0; j < i; j++) {
+      if (Circle.containsWithTolerance_(circle, points[j])) {
+        continue;
+      }
+      // So do both points.
+      circle = Circle.createFromDiameter_(points[i], points[j]);
+      for (var k = 0; k < j; k++) {
+        if (!Circle.containsWithTolerance_(circle, points[k])) {
+          circle = Circle.createFromTriangle_(points[i], points[j],
+                                              points[k]);
+        }
+      }
+    }
+  }
+  return circle;
+};
+
+
+/**
+ * @return {!Circle} A new copy of this circle.
+ */
+Circle.prototype.clone = function() {
+  return new Circle(this.x, this.y, this.radius);
+};
+
+
+/**
+ * Compares circles for equality.
+ * @param {Circle} a A Circle.
+ * @param {Circle} b A Circle.
+ * @return {boolean} True iff the circles have the same center and radius, or
+ *     if both are null.
+ */
+Circle.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.x == b.x && a.y == b.y && a.radius == b.radius;
+};
+
+
+/**
+ * Returns a nice string representing the circle.
+ * @return {string} In the form (50, 73 - 10r).
+ * @override
+ */
+Circle.prototype.toString = function() {
+  return '(' + this.x + ', ' + this.y + ' - ' + this.radius + 'r)';
+};
+
+
+/**
+ * Creates a circle from its JSON form, as produced by {@code JSON.stringify}.
+ * @param {*} json An object with numeric x, y and radius properties.
+ * @return {!Circle} A new Circle.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Circle.fromJSON = function(json) {
+  if (!json || !XMath.isNumber(json.x) || !XMath.isNumber(json.y) ||
+      !XMath.isNumber(json.radius)) {
+    throw new TypeError('Expected {x, y, radius}, got ' +
+        Json.describe(json));
+  }
+  return new Circle(json.x, json.y, json.radius);
+};
+
+
+/**
+ * Creates a circle from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73 - 10r).
+ * @return {!Circle} A new Circle.
+ */
+Circle.parse = function(str) {
+  var match = /^\s*\(([^,()]*),(.*?)\s-\s(.*?)r\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid circle string: ' + str);
+  }
+  return new Circle(values[0], values[1], values[2]);
+};
+
+
+/**
+ * @return {!Coordinate} A new Coordinate at the center of the circle.
+ */
+Circle.prototype.getCenter = function() {
+  return new Coordinate(this.x, this.y);
+};
+
+
+/**
+ * @return {number} The area of the circle.
+ */
+Circle.prototype.area = function() {
+  return Math.PI * this.radius * this.radius;
+};
+
+
+/**
+ * @return {number} The circumference of the circle.
+ */
+Circle.prototype.circumference = function() {
+  return 2 * Math.PI * this.radius;
+};
+
+
+/**
+ * Tests whether the circle contains a point, boundary included.
+ * @param {Coordinate.PointLike} point The point.
+ * @return {boolean} Whether the point is inside the circle.
+ */
+Circle.prototype.contains = function(point) {
+  return Coordinate.squaredDistance(this.getCenter(), point) <=
+      this.radius * this.radius;
+};
+
+
+/**
+ * Returns the point of the circle at an angle from its center, as
+ * {@code XMath.angleDx} and {@code XMath.angleDy}.
+ * @param {number} angle The angle, zero pointing in the +X direction.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @return {!Coordinate} A new Coordinate on the circle.
+ */
+Circle.prototype.getPointAt = function(angle, unit) {
+  return Angle.toVector(angle, this.radius, unit).translate(this.x, this.y);
+};
+
+
+/**
+ * @return {!Rect} A new Rect, the smallest containing the circle.
+ */
+Circle.prototype.getBounds = function() {
+  return new Rect(this.x - this.radius, this.y - this.radius,
+                  2 * this.radius, 2 * this.radius);
+};
+
+
+/**
+ * Returns whether two circles intersect, touching included.
+ * @param {Circle} a A Circle.
+ * @param {Circle} b A Circle.
+ * @return {boolean} Whether the circles intersect.
+ */
+Circle.intersects = function(a, b) {
+  var radii = a.radius + b.radius;
+  return Coordinate.squaredDistance(a.getCenter(), b.getCenter()) <=
+      radii * radii;
+};
+
+
+/**
+ * Returns whether a circle intersects a rectangle, touching included.
+ * @param {Circle} circle A Circle.
+ * @param {Rect.RectLike} rect A rectangle.
+ * @return {boolean} Whether the circle and the rectangle intersect.
+ */
+Circle.intersectsRect = function(circle, rect) {
+  return Box.distance(Rect.coerce(rect).toBox(), circle.getCenter()) <=
+      circle.radius;
+};
+
+
+/**
+ * Computes where a line crosses the circle.
+ * @param {!Line} line The line.
+ * @param {boolean=} opt_segmentOnly Whether to only return points on the
+ *     segment between the end points of the line, rather than on the infinite
+ *     line through them.
+ * @return {!Array.<!Coordinate>} New Coordinates, from none for a line
+ *     missing the circle to two, ordered from the start to the end of the
+ *     line. A tangent line touches the circle at a single point.
+ */
+Circle.prototype.intersectLine = function(line, opt_segmentOnly) {
+  var dx = line.x1 - line.x0;
+  var dy = line.y1 - line.y0;
+  var fx = line.x0 - this.x;
+  var fy = line.y0 - this.y;
+  var a = dx * dx + dy * dy;
+  var b = fx * dx + fy * dy;
+  var c = fx * fx + fy * fy - this.radius * this.radius;
+  if (!a) {
+    return c ? [] : [line.getStart()];
+  }
+  var discriminant = b * b - a * c;
+  if (discriminant < 0) {
+    return [];
+  }
+  var root = Math.sqrt(discriminant);
+  var times = root ? [(-b - root) / a, (-b + root) / a] : [-b / a];
+  return times.filter(function(t) {
+    return !opt_segmentOnly || (t >= 0 && t <= 1);
+  }).map(function(t) {
+    return line.getInterpolatedPoint(t);
+  });
+};
+
+
+/**
+ * Tests whether a circle contains a point, allowing for rounding errors.
+ * @param {!Circle} circle The circle.
+ * @param {!Coordinate} point The point.
+ * @return {boolean} Whether the point is inside the circle.
+ * @private
+ */
+Circle.containsWithTolerance_ = function(circle, point) {
+  return Coordinate.distance(circle.getCenter(), point) <=
+      circle.radius * (1 + Circle.EPSILON_) + Circle.EPSILON_;
+};
+
+
+/**
+ * @param {!Coordinate} a A point.
+ * @param {!Coordinate} b Another point.
+ * @return {!Circle} A new Circle with the segment between the points as
+ *     diameter.
+ * @private
+ */
+Circle.createFromDiameter_ = function(a, b) {
+  return new Circle((a.x + b.x) / 2, (a.y + b.y) / 2,
+                    Coordinate.distance(a, b) / 2);
+};
+
+
+/**
+ * @param {!Coordinate} a A point.
+ * @param {!Coordinate} b Another point.
+ * @param {!Coordinate} c A third point.
+ * @return {!Circle} A new Circle through the three points, or with the
+ *     longest segment between them as diameter if they are on a line.
+ * @private
+ */
+Circle.createFromTriangle_ = function(a, b, c) {
+  var bx = b.x - a.x;
+  var by = b.y - a.y;
+  var cx = c.x - a.x;
+  var cy = c.y - a.y;
+  var d = 2 * (bx * cy - by * cx);
+  if (!d) {
+    return [Circle.createFromDiameter_(a, b),
+            Circle.createFromDiameter_(a, c),
+            Circle.createFromDiameter_(b, c)].reduce(function(max, circle) {
+      return circle.radius > max.radius ? circle : max;
+    });
+  }
+  var b2 = bx * bx + by * by;
+  var c2 = cx * cx + cy * cy;
+  var x = (cy * b2 - by * c2) / d;
+  var y = (bx * c2 - cx * b2) / d;
+  return new Circle(a.x + x, a.y + y, Math.sqrt(x * x + y * y));
+};
+
+module.exports = Circle;
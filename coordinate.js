@@ -1,6 +1,7 @@
 // Original license here
 // http://docs.closure-library.googlecode.com/git/closure_goog_math_coordinate.js.source.html
 
+var Json = require('./json');
 var XMath = require('./math');
 
 /**
@@ -24,6 +25,51 @@ var Coordinate = function(opt_x, opt_y) {
 };
 
 
+/**
+ * Values accepted wherever a Coordinate is expected: a Coordinate, any object
+ * with numeric x and y properties, or an array of two numbers [x, y].
+ * @typedef {Coordinate|{x: number, y: number}|Array.<number>}
+ */
+Coordinate.PointLike;
+
+
+/**
+ * Returns whether a value can be used as a Coordinate.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether {@code value} is point-like.
+ */
+Coordinate.isPointLike = function(value) {
+  if (value instanceof Coordinate) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length == 2 &&
+        XMath.isNumber(value[0]) && XMath.isNumber(value[1]);
+  }
+  return !!value && XMath.isNumber(value.x) && XMath.isNumber(value.y);
+};
+
+
+/**
+ * Converts a point-like value to a Coordinate.
+ * @param {Coordinate.PointLike} value The value to convert.
+ * @return {!Coordinate} {@code value} itself if it is a Coordinate,
+ *     otherwise a new Coordinate with the same position.
+ * @throws {TypeError} If {@code value} is not point-like.
+ */
+Coordinate.coerce = function(value) {
+  if (value instanceof Coordinate) {
+    return value;
+  }
+  if (!Coordinate.isPointLike(value)) {
+    throw new TypeError('Expected a point-like value ({x, y} or [x, y]), ' +
+        'got ' + Json.describe(value));
+  }
+  return Array.isArray(value) ?
+      new Coordinate(value[0], value[1]) : new Coordinate(value.x, value.y);
+};
+
+
 /**
  * Returns a new copy of the coordinate.
  * @return {!Coordinate} A clone of this coordinate.
@@ -47,6 +93,36 @@ Coordinate.prototype.toJSON = function() {
 };
 
 
+/**
+ * Creates a coordinate from the output of {@code toJSON}.
+ * @param {*} json An array of two numbers [x, y].
+ * @return {!Coordinate} A new Coordinate.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Coordinate.fromJSON = function(json) {
+  if (!Array.isArray(json) || json.length != 2 ||
+      !json.every(XMath.isNumber)) {
+    throw new TypeError('Expected [x, y], got ' + Json.describe(json));
+  }
+  return new Coordinate(json[0], json[1]);
+};
+
+
+/**
+ * Creates a coordinate from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73).
+ * @return {!Coordinate} A new Coordinate.
+ */
+Coordinate.parse = function(str) {
+  var match = /^\s*\(([^,()]*),([^,()]*)\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid coordinate string: ' + str);
+  }
+  return new Coordinate(values[0], values[1]);
+};
+
+
 /**
  * Compares coordinates for equality.
  * @param {Coordinate} a A Coordinate.
@@ -57,9 +133,11 @@ Coordinate.equals = function(a, b) {
   if (a == b) {
     return true;
   }
-  if (!a || !b) {
+  if (!Coordinate.isPointLike(a) || !Coordinate.isPointLike(b)) {
     return false;
   }
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   return a.x == b.x && a.y == b.y;
 };
 
@@ -71,6 +149,8 @@ Coordinate.equals = function(a, b) {
  * @return {number} The distance between {@code a} and {@code b}.
  */
 Coordinate.distance = function(a, b) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   var dx = a.x - b.x;
   var dy = a.y - b.y;
   return Math.sqrt(dx * dx + dy * dy);
@@ -83,6 +163,7 @@ Coordinate.distance = function(a, b) {
  * @return {number} The distance between the origin and {@code a}.
  */
 Coordinate.magnitude = function(a) {
+  a = Coordinate.coerce(a);
   return Math.sqrt(a.x * a.x + a.y * a.y);
 };
 
@@ -94,6 +175,7 @@ Coordinate.magnitude = function(a) {
  *     axis to {@code a}.
  */
 Coordinate.azimuth = function(a) {
+  a = Coordinate.coerce(a);
   return XMath.angle(0, 0, a.x, a.y);
 };
 
@@ -111,6 +193,8 @@ Coordinate.azimuth = function(a) {
  * @return {number} The squared distance between {@code a} and {@code b}.
  */
 Coordinate.squaredDistance = function(a, b) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   var dx = a.x - b.x;
   var dy = a.y - b.y;
   return dx * dx + dy * dy;
@@ -126,6 +210,8 @@ Coordinate.squaredDistance = function(a, b) {
  *     between {@code a} and {@code b}.
  */
 Coordinate.difference = function(a, b) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   return new Coordinate(a.x - b.x, a.y - b.y);
 };
 
@@ -138,6 +224,8 @@ Coordinate.difference = function(a, b) {
  *     coordinates.
  */
 Coordinate.sum = function(a, b) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   return new Coordinate(a.x + b.x, a.y + b.y);
 };
 
@@ -153,6 +241,17 @@ Coordinate.prototype.ceil = function() {
 };
 
 
+/**
+ * Returns a copy of a coordinate with its fields rounded to the next larger
+ * integer values.
+ * @param {!Coordinate} a A Coordinate.
+ * @return {!Coordinate} A new Coordinate, {@code a} is not changed.
+ */
+Coordinate.ceil = function(a) {
+  return Coordinate.coerce(a).clone().ceil();
+};
+
+
 /**
  * Rounds the x and y fields to the next smaller integer values.
  * @return {!Coordinate} This coordinate with floored fields.
@@ -164,6 +263,17 @@ Coordinate.prototype.floor = function() {
 };
 
 
+/**
+ * Returns a copy of a coordinate with its fields rounded to the next smaller
+ * integer values.
+ * @param {!Coordinate} a A Coordinate.
+ * @return {!Coordinate} A new Coordinate, {@code a} is not changed.
+ */
+Coordinate.floor = function(a) {
+  return Coordinate.coerce(a).clone().floor();
+};
+
+
 /**
  * Rounds the x and y fields to the nearest integer values.
  * @return {!Coordinate} This coordinate with rounded fields.
@@ -176,17 +286,29 @@ Coordinate.prototype.round = function() {
 
 
 /**
- * Translates this box by the given offsets. If a {@code Coordinate}
+ * Returns a copy of a coordinate with its fields rounded to the nearest
+ * integer values.
+ * @param {!Coordinate} a A Coordinate.
+ * @return {!Coordinate} A new Coordinate, {@code a} is not changed.
+ */
+Coordinate.round = function(a) {
+  return Coordinate.coerce(a).clone().round();
+};
+
+
+/**
+ * Translates this coordinate by the given offsets. If a point-like value
  * is given, then the x and y values are translated by the coordinate's x and y.
  * Otherwise, x and y are translated by {@code tx} and {@code opt_ty}
  * respectively.
- * @param {number|Coordinate} tx The value to translate x by or the
+ * @param {number|Coordinate.PointLike} tx The value to translate x by or
  *     the coordinate to translate this coordinate by.
  * @param {number=} opt_ty The value to translate y by.
  * @return {!Coordinate} This coordinate after translating.
  */
 Coordinate.prototype.translate = function(tx, opt_ty) {
-  if (tx instanceof Coordinate) {
+  if (!XMath.isNumber(tx)) {
+    tx = Coordinate.coerce(tx);
     this.x += tx.x;
     this.y += tx.y;
   } else {
@@ -199,6 +321,20 @@ Coordinate.prototype.translate = function(tx, opt_ty) {
 };
 
 
+/**
+ * Returns a copy of a coordinate translated by the given offsets, see
+ * {@code Coordinate.prototype.translate}.
+ * @param {!Coordinate} a A Coordinate.
+ * @param {number|Coordinate} tx The value to translate x by or the
+ *     the coordinate to translate by.
+ * @param {number=} opt_ty The value to translate y by.
+ * @return {!Coordinate} A new Coordinate, {@code a} is not changed.
+ */
+Coordinate.translate = function(a, tx, opt_ty) {
+  return Coordinate.coerce(a).clone().translate(tx, opt_ty);
+};
+
+
 /**
  * Scales this coordinate by the given scale factors. The x and y values are
  * scaled by {@code sx} and {@code opt_sy} respectively.  If {@code opt_sy}
@@ -214,34 +350,50 @@ Coordinate.prototype.scale = function(sx, opt_sy) {
   return this;
 };
 
+
+/**
+ * Returns a copy of a coordinate scaled by the given scale factors, see
+ * {@code Coordinate.prototype.scale}.
+ * @param {!Coordinate} a A Coordinate.
+ * @param {number} sx The scale factor to use for the x dimension.
+ * @param {number=} opt_sy The scale factor to use for the y dimension.
+ * @return {!Coordinate} A new Coordinate, {@code a} is not changed.
+ */
+Coordinate.scale = function(a, sx, opt_sy) {
+  return Coordinate.coerce(a).clone().scale(sx, opt_sy);
+};
+
 // Originally in Vec2
 // http://docs.closure-library.googlecode.com/git/closure_goog_math_vec2.js.source.html
 
 /**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {!Coordinate} A random unit-length vector.
  */
-Coordinate.randomUnit = function() {
-  var angle = Math.random() * Math.PI * 2;
+Coordinate.randomUnit = function(opt_random) {
+  var angle = XMath.random(opt_random) * Math.PI * 2;
   return new Coordinate(Math.cos(angle), Math.sin(angle));
 };
 
 
 /**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {!Coordinate} A random vector inside the unit-disc.
  */
-Coordinate.random = function() {
-  var mag = Math.sqrt(Math.random());
-  var angle = Math.random() * Math.PI * 2;
+Coordinate.random = function(opt_random) {
+  var mag = Math.sqrt(XMath.random(opt_random));
+  var angle = XMath.random(opt_random) * Math.PI * 2;
 
   return new Coordinate(Math.cos(angle) * mag, Math.sin(angle) * mag);
 };
 
 
 /**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {!Coordinate} A random vector with x and y between 0 and 1.
  */
-Coordinate.randomPositive = function() {
-  return new Coordinate(Math.random(), Math.random());
+Coordinate.randomPositive = function(opt_random) {
+  return new Coordinate(XMath.random(opt_random), XMath.random(opt_random));
 };
 
 
@@ -285,6 +437,16 @@ Coordinate.prototype.invert = function() {
 };
 
 
+/**
+ * Returns a vector with the reversed sign of the given one.
+ * @param {!Coordinate} a A vector.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.invert = function(a) {
+  return Coordinate.coerce(a).clone().invert();
+};
+
+
 /**
  * Normalizes the current vector to have a magnitude of 1.
  * @return {!Coordinate} The normalized vector.
@@ -294,30 +456,65 @@ Coordinate.prototype.normalize = function() {
 };
 
 
+/**
+ * Returns a vector with the direction of the given one and a magnitude of 1.
+ * @param {!Coordinate} a A vector.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.normalize = function(a) {
+  return Coordinate.coerce(a).clone().normalize();
+};
+
+
 /**
  * Adds another vector to this vector in-place.
  * @param {!Coordinate} b The vector to add.
  * @return {!Coordinate}  This vector with {@code b} added.
  */
 Coordinate.prototype.add = function(b) {
+  b = Coordinate.coerce(b);
   this.x += b.x;
   this.y += b.y;
   return this;
 };
 
 
+/**
+ * Returns the sum of two vectors, same as {@code Coordinate.sum}.
+ * @param {!Coordinate} a A vector.
+ * @param {!Coordinate} b The vector to add.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.add = function(a, b) {
+  return Coordinate.coerce(a).clone().add(b);
+};
+
+
 /**
  * Subtracts another vector from this vector in-place.
  * @param {!Coordinate} b The vector to subtract.
  * @return {!Coordinate} This vector with {@code b} subtracted.
  */
 Coordinate.prototype.subtract = function(b) {
+  b = Coordinate.coerce(b);
   this.x -= b.x;
   this.y -= b.y;
   return this;
 };
 
 
+/**
+ * Returns the difference of two vectors, same as
+ * {@code Coordinate.difference}.
+ * @param {!Coordinate} a A vector.
+ * @param {!Coordinate} b The vector to subtract.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.subtract = function(a, b) {
+  return Coordinate.coerce(a).clone().subtract(b);
+};
+
+
 /**
  * Multiplies each value of this vector with corresponding value of another
  * vector.
@@ -325,12 +522,24 @@ Coordinate.prototype.subtract = function(b) {
  * @return {!Coordinate} This vector with {@code b} multiplied with.
  */
 Coordinate.prototype.multiply = function(b) {
+  b = Coordinate.coerce(b);
   this.x *= b.x;
   this.y *= b.y;
   return this;
 };
 
 
+/**
+ * Returns a vector with the values of two vectors multiplied.
+ * @param {!Coordinate} a A vector.
+ * @param {!Coordinate} b The vector to multiply with.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.multiply = function(a, b) {
+  return Coordinate.coerce(a).clone().multiply(b);
+};
+
+
 /**
  * Rotates this vector in-place by a given angle, specified in radians.
  * @param {number} angle The angle, in radians.
@@ -347,6 +556,17 @@ Coordinate.prototype.rotate = function(angle) {
 };
 
 
+/**
+ * Returns a vector rotated by a given angle, specified in radians.
+ * @param {!Coordinate} a A vector.
+ * @param {number} angle The angle, in radians.
+ * @return {!Coordinate} A new vector, {@code a} is not changed.
+ */
+Coordinate.rotate = function(a, angle) {
+  return Coordinate.coerce(a).clone().rotate(angle);
+};
+
+
 /**
  * Rotates a vector by a given angle, specified in radians, relative to a given
  * axis rotation point. The returned vector is a newly created instance - no
@@ -357,7 +577,7 @@ Coordinate.prototype.rotate = function(angle) {
  * @return {!Coordinate} The rotated vector in a newly created instance.
  */
 Coordinate.rotateAroundPoint = function(v, axisPoint, angle) {
-  var res = v.clone();
+  var res = Coordinate.coerce(v).clone();
   return res.subtract(axisPoint).rotate(angle).add(axisPoint);
 };
 
@@ -369,7 +589,14 @@ Coordinate.rotateAroundPoint = function(v, axisPoint, angle) {
  *     vector.
  */
 Coordinate.prototype.equals = function(b) {
-  return this == b || !!b && this.x == b.x && this.y == b.y;
+  if (this == b) {
+    return true;
+  }
+  if (!Coordinate.isPointLike(b)) {
+    return false;
+  }
+  b = Coordinate.coerce(b);
+  return this.x == b.x && this.y == b.y;
 };
 
 
@@ -381,6 +608,7 @@ Coordinate.prototype.equals = function(b) {
  *     with b.
  */
 Coordinate.prototype.min = function(b) {
+  b = Coordinate.coerce(b);
   this.x = Math.min(this.x, b.x);
   this.y = Math.min(this.y, b.y);
   return this;
@@ -395,6 +623,7 @@ Coordinate.prototype.min = function(b) {
  *     with b.
  */
 Coordinate.prototype.max = function(b) {
+  b = Coordinate.coerce(b);
   this.x = Math.max(this.x, b.x);
   this.y = Math.max(this.y, b.y);
   return this;
@@ -409,6 +638,8 @@ Coordinate.prototype.max = function(b) {
  *     clamped to the nearest coordinate within the bounds.
  */
 Coordinate.prototype.clamp = function(min, max) {
+  min = Coordinate.coerce(min);
+  max = Coordinate.coerce(max);
   this.x = Math.min(Math.max(this.x, min.x), max.x);
   this.y = Math.min(Math.max(this.y, min.y), max.y);
   return this;
@@ -422,6 +653,8 @@ Coordinate.prototype.clamp = function(min, max) {
  * @return {number} The dot-product of the two vectors.
  */
 Coordinate.dot = function(a, b) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   return a.x * b.x + a.y * b.y;
 };
 
@@ -435,6 +668,8 @@ Coordinate.dot = function(a, b) {
  * @return {!Coordinate} The interpolated vector.
  */
 Coordinate.lerp = function(a, b, x) {
+  a = Coordinate.coerce(a);
+  b = Coordinate.coerce(b);
   return new Coordinate(XMath.lerp(a.x, b.x, x),
                         XMath.lerp(a.y, b.y, x));
 };
@@ -448,8 +683,7 @@ Coordinate.lerp = function(a, b, x) {
  * @return {!Coordinate} A maximal coordinate combination of a and b.
  */
 Coordinate.max = function(a, b) {
-  return new Coordinate(Math.max(a.x, b.x),
-                        Math.max(a.y, b.y));
+  return Coordinate.coerce(a).clone().max(b);
 };
 
 
@@ -461,8 +695,7 @@ Coordinate.max = function(a, b) {
  * @return {!Coordinate} A minimal coordinate combination of a and b.
  */
 Coordinate.min = function(a, b) {
-  return new Coordinate(Math.min(a.x, b.x),
-                        Math.min(a.y, b.y));
+  return Coordinate.coerce(a).clone().min(b);
 };
 
 
@@ -475,8 +708,7 @@ Coordinate.min = function(a, b) {
  *     the nearest coordinate within the bounds.
  */
 Coordinate.clamp = function(a, min, max) {
-  return new Coordinate(Math.min(Math.max(a.x, min.x), max.x),
-                        Math.min(Math.max(a.y, min.y), max.y));
+  return Coordinate.coerce(a).clone().clamp(min, max);
 };
 
 
@@ -0,0 +1,549 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_coordinate3.js.source.html
+
+var Json = require('./json');
+var XMath = require('./math');
+
+/**
+ * Class for representing coordinates and positions in 3 dimensions.
+ * @param {number=} opt_x X coordinate, defaults to 0.
+ * @param {number=} opt_y Y coordinate, defaults to 0.
+ * @param {number=} opt_z Z coordinate, defaults to 0.
+ * @constructor
+ */
+var Coordinate3 = function(opt_x, opt_y, opt_z) {
+  /**
+   * X-value
+   * @type {number}
+   */
+  this.x = opt_x || 0;
+
+  /**
+   * Y-value
+   * @type {number}
+   */
+  this.y = opt_y || 0;
+
+  /**
+   * Z-value
+   * @type {number}
+   */
+  this.z = opt_z || 0;
+};
+
+
+/**
+ * Values accepted wherever a Coordinate3 is expected: a Coordinate3, any
+ * object with numeric x, y and z properties, or an array of three numbers
+ * [x, y, z].
+ * @typedef {Coordinate3|{x: number, y: number, z: number}|Array.<number>}
+ */
+Coordinate3.PointLike;
+
+
+/**
+ * Returns whether a value can be used as a Coordinate3.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether {@code value} is point-like.
+ */
+Coordinate3.isPointLike = function(value) {
+  if (value instanceof Coordinate3) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length == 3 && value.every(XMath.isNumber);
+  }
+  return !!value && XMath.isNumber(value.x) && XMath.isNumber(value.y) &&
+      XMath.isNumber(value.z);
+};
+
+
+/**
+ * Converts a point-like value to a Coordinate3.
+ * @param {Coordinate3.PointLike} value The value to convert.
+ * @return {!Coordinate3} {@code value} itself if it is a Coordinate3,
+ *     otherwise a new Coordinate3 with the same position.
+ * @throws {TypeError} If {@code value} is not point-like.
+ */
+Coordinate3.coerce = function(value) {
+  if (value instanceof Coordinate3) {
+    return value;
+  }
+  if (!Coordinate3.isPointLike(value)) {
+    throw new TypeError('Expected a point-like value ({x, y, z} or ' +
+        '[x, y, z]), got ' + Json.describe(value));
+  }
+  return Array.isArray(value) ?
+      new Coordinate3(value[0], value[1], value[2]) :
+      new Coordinate3(value.x, value.y, value.z);
+};
+
+
+/**
+ * Returns a new copy of the coordinate.
+ * @return {!Coordinate3} A clone of this coordinate.
+ */
+Coordinate3.prototype.clone = function() {
+  return new Coordinate3(this.x, this.y, this.z);
+};
+
+
+/**
+ * Returns a nice string representing the coordinate.
+ * @return {string} In the form (50, 73, 31).
+ * @override
+ */
+Coordinate3.prototype.toString = function() {
+  return '(' + this.x + ', ' + this.y + ', ' + this.z + ')';
+};
+
+
+Coordinate3.prototype.toJSON = function() {
+  return [this.x, this.y, this.z];
+};
+
+
+/**
+ * Creates a coordinate from the output of {@code toJSON}.
+ * @param {*} json An array of three numbers [x, y, z].
+ * @return {!Coordinate3} A new Coordinate3.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Coordinate3.fromJSON = function(json) {
+  if (!Array.isArray(json) || json.length != 3 ||
+      !json.every(XMath.isNumber)) {
+    throw new TypeError('Expected [x, y, z], got ' + Json.describe(json));
+  }
+  return new Coordinate3(json[0], json[1], json[2]);
+};
+
+
+/**
+ * Creates a coordinate from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73, 31).
+ * @return {!Coordinate3} A new Coordinate3.
+ */
+Coordinate3.parse = function(str) {
+  var match = /^\s*\(([^,()]*),([^,()]*),([^,()]*)\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid coordinate string: ' + str);
+  }
+  return new Coordinate3(values[0], values[1], values[2]);
+};
+
+
+/**
+ * Compares coordinates for equality.
+ * @param {Coordinate3} a A Coordinate3.
+ * @param {Coordinate3} b A Coordinate3.
+ * @return {boolean} True iff the coordinates are equal, or if both are null.
+ */
+Coordinate3.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.x == b.x && a.y == b.y && a.z == b.z;
+};
+
+
+/**
+ * Returns the distance between two coordinates.
+ * @param {!Coordinate3} a A Coordinate3.
+ * @param {!Coordinate3} b A Coordinate3.
+ * @return {number} The distance between {@code a} and {@code b}.
+ */
+Coordinate3.distance = function(a, b) {
+  return Math.sqrt(Coordinate3.squaredDistance(a, b));
+};
+
+
+/**
+ * Returns the magnitude of a coordinate.
+ * @param {!Coordinate3} a A Coordinate3.
+ * @return {number} The distance between the origin and {@code a}.
+ */
+Coordinate3.magnitude = function(a) {
+  return Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+};
+
+
+/**
+ * Returns the squared distance between two coordinates. Squared distances can
+ * be used for comparisons when the actual value is not required.
+ * @param {!Coordinate3} a A Coordinate3.
+ * @param {!Coordinate3} b A Coordinate3.
+ * @return {number} The squared distance between {@code a} and {@code b}.
+ */
+Coordinate3.squaredDistance = function(a, b) {
+  var dx = a.x - b.x;
+  var dy = a.y - b.y;
+  var dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+};
+
+
+/**
+ * Returns the difference between two coordinates as a new
+ * Coordinate3.
+ * @param {!Coordinate3} a A Coordinate3.
+ * @param {!Coordinate3} b A Coordinate3.
+ * @return {!Coordinate3} A Coordinate3 representing the difference
+ *     between {@code a} and {@code b}.
+ */
+Coordinate3.difference = function(a, b) {
+  return new Coordinate3(a.x - b.x, a.y - b.y, a.z - b.z);
+};
+
+
+/**
+ * Returns the sum of two coordinates as a new Coordinate3.
+ * @param {!Coordinate3} a A Coordinate3.
+ * @param {!Coordinate3} b A Coordinate3.
+ * @return {!Coordinate3} A Coordinate3 representing the sum of the two
+ *     coordinates.
+ */
+Coordinate3.sum = function(a, b) {
+  return new Coordinate3(a.x + b.x, a.y + b.y, a.z + b.z);
+};
+
+
+/**
+ * Rounds the x, y and z fields to the next larger integer values.
+ * @return {!Coordinate3} This coordinate with ceil'd fields.
+ */
+Coordinate3.prototype.ceil = function() {
+  this.x = Math.ceil(this.x);
+  this.y = Math.ceil(this.y);
+  this.z = Math.ceil(this.z);
+  return this;
+};
+
+
+/**
+ * Rounds the x, y and z fields to the next smaller integer values.
+ * @return {!Coordinate3} This coordinate with floored fields.
+ */
+Coordinate3.prototype.floor = function() {
+  this.x = Math.floor(this.x);
+  this.y = Math.floor(this.y);
+  this.z = Math.floor(this.z);
+  return this;
+};
+
+
+/**
+ * Rounds the x, y and z fields to the nearest integer values.
+ * @return {!Coordinate3} This coordinate with rounded fields.
+ */
+Coordinate3.prototype.round = function() {
+  this.x = Math.round(this.x);
+  this.y = Math.round(this.y);
+  this.z = Math.round(this.z);
+  return this;
+};
+
+
+/**
+ * Translates this coordinate by the given offsets. If a point-like value is
+ * given, then the x, y and z values are translated by the coordinate's
+ * values. Otherwise, x, y and z are translated by {@code tx}, {@code opt_ty}
+ * and {@code opt_tz} respectively.
+ * @param {number|Coordinate3.PointLike} tx The value to translate x by or the
+ *     the coordinate to translate this coordinate by.
+ * @param {number=} opt_ty The value to translate y by.
+ * @param {number=} opt_tz The value to translate z by.
+ * @return {!Coordinate3} This coordinate after translating.
+ */
+Coordinate3.prototype.translate = function(tx, opt_ty, opt_tz) {
+  if (!XMath.isNumber(tx)) {
+    tx = Coordinate3.coerce(tx);
+    this.x += tx.x;
+    this.y += tx.y;
+    this.z += tx.z;
+  } else {
+    this.x += tx;
+    if (XMath.isNumber(opt_ty)) {
+      this.y += opt_ty;
+    }
+    if (XMath.isNumber(opt_tz)) {
+      this.z += opt_tz;
+    }
+  }
+  return this;
+};
+
+
+/**
+ * Scales this coordinate by the given scale factors. The x, y and z values
+ * are scaled by {@code sx}, {@code opt_sy} and {@code opt_sz} respectively.
+ * If {@code opt_sy} or {@code opt_sz} is not given, then {@code sx} is used
+ * in its place.
+ * @param {number} sx The scale factor to use for the x dimension.
+ * @param {number=} opt_sy The scale factor to use for the y dimension.
+ * @param {number=} opt_sz The scale factor to use for the z dimension.
+ * @return {!Coordinate3} This coordinate after scaling.
+ */
+Coordinate3.prototype.scale = function(sx, opt_sy, opt_sz) {
+  var sy = XMath.isNumber(opt_sy) ? opt_sy : sx;
+  var sz = XMath.isNumber(opt_sz) ? opt_sz : sx;
+  this.x *= sx;
+  this.y *= sy;
+  this.z *= sz;
+  return this;
+};
+
+// Originally in Vec3
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_vec3.js.source.html
+
+/**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
+ * @return {!Coordinate3} A random unit-length vector.
+ */
+Coordinate3.randomUnit = function(opt_random) {
+  var theta = XMath.random(opt_random) * Math.PI * 2;
+  var phi = XMath.random(opt_random) * 2 - 1;
+  var s = Math.sqrt(1 - phi * phi);
+  return new Coordinate3(Math.cos(theta) * s, Math.sin(theta) * s, phi);
+};
+
+
+/**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
+ * @return {!Coordinate3} A random vector inside the unit sphere.
+ */
+Coordinate3.random = function(opt_random) {
+  var mag = Math.pow(XMath.random(opt_random), 1 / 3);
+  return Coordinate3.randomUnit(opt_random).scale(mag);
+};
+
+
+/**
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
+ * @return {!Coordinate3} A random vector with x, y and z between 0 and 1.
+ */
+Coordinate3.randomPositive = function(opt_random) {
+  return new Coordinate3(XMath.random(opt_random), XMath.random(opt_random),
+                         XMath.random(opt_random));
+};
+
+
+/**
+ * Returns the magnitude of the vector measured from the origin.
+ * @return {number} The length of the vector.
+ */
+Coordinate3.prototype.magnitude = function() {
+  return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+};
+
+
+/**
+ * Returns the squared magnitude of the vector measured from the origin.
+ * @return {number} The length of the vector, squared.
+ */
+Coordinate3.prototype.squaredMagnitude = function() {
+  return this.x * this.x + this.y * this.y + this.z * this.z;
+};
+
+
+/**
+ * Reverses the sign of the vector. Equivalent to scaling the vector by -1.
+ * @return {!Coordinate3} The inverted vector.
+ */
+Coordinate3.prototype.invert = function() {
+  this.x = -this.x;
+  this.y = -this.y;
+  this.z = -this.z;
+  return this;
+};
+
+
+/**
+ * Normalizes the current vector to have a magnitude of 1.
+ * @return {!Coordinate3} The normalized vector.
+ */
+Coordinate3.prototype.normalize = function() {
+  return this.scale(1 / this.magnitude());
+};
+
+
+/**
+ * Adds another vector to this vector in-place.
+ * @param {!Coordinate3} b The vector to add.
+ * @return {!Coordinate3} This vector with {@code b} added.
+ */
+Coordinate3.prototype.add = function(b) {
+  this.x += b.x;
+  this.y += b.y;
+  this.z += b.z;
+  return this;
+};
+
+
+/**
+ * Subtracts another vector from this vector in-place.
+ * @param {!Coordinate3} b The vector to subtract.
+ * @return {!Coordinate3} This vector with {@code b} subtracted.
+ */
+Coordinate3.prototype.subtract = function(b) {
+  this.x -= b.x;
+  this.y -= b.y;
+  this.z -= b.z;
+  return this;
+};
+
+
+/**
+ * Multiplies each value of this vector with corresponding value of another
+ * vector.
+ * @param {!Coordinate3} b The vector to multiply with.
+ * @return {!Coordinate3} This vector with {@code b} multiplied with.
+ */
+Coordinate3.prototype.multiply = function(b) {
+  this.x *= b.x;
+  this.y *= b.y;
+  this.z *= b.z;
+  return this;
+};
+
+
+/**
+ * Compares this vector with another for equality.
+ * @param {!Coordinate3} b The other vector.
+ * @return {boolean} Whether this vector has the same x, y and z as the given
+ *     vector.
+ */
+Coordinate3.prototype.equals = function(b) {
+  return this == b || !!b && this.x == b.x && this.y == b.y && this.z == b.z;
+};
+
+
+/**
+ * Sets each value of this coordinate to min of the value and the
+ * corresponding one in given coordinate.
+ * @param {!Coordinate3} b A coordinate.
+ * @return {!Coordinate3} This coordinate as a minimal coordinate combination
+ *     with b.
+ */
+Coordinate3.prototype.min = function(b) {
+  this.x = Math.min(this.x, b.x);
+  this.y = Math.min(this.y, b.y);
+  this.z = Math.min(this.z, b.z);
+  return this;
+};
+
+
+/**
+ * Sets each value of this coordinate to max of the value and the
+ * corresponding one in given coordinate.
+ * @param {!Coordinate3} b The second coordinate.
+ * @return {!Coordinate3} This coordinate as a maximal coordinate combination
+ *     with b.
+ */
+Coordinate3.prototype.max = function(b) {
+  this.x = Math.max(this.x, b.x);
+  this.y = Math.max(this.y, b.y);
+  this.z = Math.max(this.z, b.z);
+  return this;
+};
+
+
+/**
+ * Clamps this coordinate within the provided bounds.
+ * @param {!Coordinate3} min The minimum coordinates to return.
+ * @param {!Coordinate3} max The maximum coordinates to return.
+ * @return {!Coordinate3} This coordinate within bounds or
+ *     clamped to the nearest coordinate within the bounds.
+ */
+Coordinate3.prototype.clamp = function(min, max) {
+  this.x = XMath.clamp(this.x, min.x, max.x);
+  this.y = XMath.clamp(this.y, min.y, max.y);
+  this.z = XMath.clamp(this.z, min.z, max.z);
+  return this;
+};
+
+
+/**
+ * Returns the dot-product of two vectors.
+ * @param {!Coordinate3} a The first vector.
+ * @param {!Coordinate3} b The second vector.
+ * @return {number} The dot-product of the two vectors.
+ */
+Coordinate3.dot = function(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+};
+
+
+/**
+ * Returns the cross-product of two vectors.
+ * @param {!Coordinate3} a The first vector.
+ * @param {!Coordinate3} b The second vector.
+ * @return {!Coordinate3} The cross-product of the two vectors.
+ */
+Coordinate3.cross = function(a, b) {
+  return new Coordinate3(a.y * b.z - a.z * b.y,
+                         a.z * b.x - a.x * b.z,
+                         a.x * b.y - a.y * b.x);
+};
+
+
+/**
+ * Returns a new Coordinate3 that is the linear interpolant between vectors a
+ * and b at scale-value x.
+ * @param {!Coordinate3} a Vector a.
+ * @param {!Coordinate3} b Vector b.
+ * @param {number} x The proportion between a and b.
+ * @return {!Coordinate3} The interpolated vector.
+ */
+Coordinate3.lerp = function(a, b, x) {
+  return new Coordinate3(XMath.lerp(a.x, b.x, x),
+                         XMath.lerp(a.y, b.y, x),
+                         XMath.lerp(a.z, b.z, x));
+};
+
+
+/**
+ * Takes two coordinates and returns a new coordinate with x, y and z set to
+ * max of the originals' x, y and z.
+ * @param {!Coordinate3} a The first coordinate.
+ * @param {!Coordinate3} b The second coordinate.
+ * @return {!Coordinate3} A maximal coordinate combination of a and b.
+ */
+Coordinate3.max = function(a, b) {
+  return new Coordinate3(Math.max(a.x, b.x),
+                         Math.max(a.y, b.y),
+                         Math.max(a.z, b.z));
+};
+
+
+/**
+ * Takes two coordinates and returns a new coordinate with x, y and z set to
+ * min of the originals' x, y and z.
+ * @param {!Coordinate3} a The first coordinate.
+ * @param {!Coordinate3} b The second coordinate.
+ * @return {!Coordinate3} A minimal coordinate combination of a and b.
+ */
+Coordinate3.min = function(a, b) {
+  return new Coordinate3(Math.min(a.x, b.x),
+                         Math.min(a.y, b.y),
+                         Math.min(a.z, b.z));
+};
+
+
+/**
+ * Takes a coordinate and clamps it to within the provided bounds.
+ * @param {!Coordinate3} a The input coordinate.
+ * @param {!Coordinate3} min The minimum coordinates to return.
+ * @param {!Coordinate3} max The maximum coordinates to return.
+ * @return {!Coordinate3} The input coordinate if it is within bounds, or
+ *     the nearest coordinate within the bounds.
+ */
+Coordinate3.clamp = function(a, min, max) {
+  return a.clone().clamp(min, max);
+};
+
+
+module.exports = Coordinate3;
@@ -0,0 +1,232 @@
+// Based on Robert Penner's easing equations, see
+// http://robertpenner.com/easing/
+
+var Bezier = require('./bezier');
+var XMath = require('./math');
+
+/**
+ * Easing functions, mapping normalized time from 0 to 1 to the progress of an
+ * animation, which starts at 0 and ends at 1 but may overshoot in between.
+ *
+ * The Out variants of the Penner set are the In ones reflected in time, and
+ * the InOut variants run the In variant over the first half of the time and
+ * the Out variant over the second half.
+ */
+var Easing = {};
+
+
+/**
+ * @typedef {function(number): number}
+ */
+Easing.EasingFunction;
+
+
+/**
+ * Where the jumps of a {@code steps} function happen, named after the CSS
+ * {@code steps()} positions.
+ * @enum {string}
+ */
+Easing.StepPosition = {
+  // Jumps at the start of each step, so the animation starts after a jump.
+  JUMP_START: 'jump-start',
+  // Jumps at the end of each step, so the animation ends with a jump.
+  JUMP_END: 'jump-end',
+  // Jumps between steps only, holding both 0 and 1 for a step.
+  JUMP_NONE: 'jump-none',
+  // Jumps at the start and at the end.
+  JUMP_BOTH: 'jump-both',
+  START: 'start',
+  END: 'end'
+};
+
+
+/**
+ * Progress proportional to time.
+ * @param {number} t Normalized time.
+ * @return {number} Progress.
+ */
+Easing.linear = function(t) {
+  return t;
+};
+
+
+/**
+ * Returns an easing function of the shape of a CSS
+ * {@code cubic-bezier(x1, y1, x2, y2)} timing function.
+ * @param {number} x1 X coordinate of the first control point, from 0 to 1.
+ * @param {number} y1 Y coordinate of the first control point.
+ * @param {number} x2 X coordinate of the second control point, from 0 to 1.
+ * @param {number} y2 Y coordinate of the second control point.
+ * @return {Easing.EasingFunction} The easing function.
+ */
+Easing.cubicBezier = function(x1, y1, x2, y2) {
+  if (!(x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1)) {
+    throw Error('Cubic bezier x coordinates must be between 0 and 1, got ' +
+        x1 + ' and ' + x2);
+  }
+  var curve = Bezier.createTimingFunction(x1, y1, x2, y2);
+  return function(t) {
+    return t <= 0 || t >= 1 ? t : curve.solveYValueFromXValue(t);
+  };
+};
+
+
+/**
+ * Returns a step easing function, as the CSS {@code steps(count, position)}
+ * timing function.
+ * @param {number} count The number of steps, at least 2 for JUMP_NONE.
+ * @param {Easing.StepPosition=} opt_position Where the jumps happen, defaults
+ *     to END.
+ * @return {Easing.EasingFunction} The easing function.
+ */
+Easing.steps = function(count, opt_position) {
+  var position = opt_position || Easing.StepPosition.END;
+  var jumpStart = position == Easing.StepPosition.JUMP_START ||
+      position == Easing.StepPosition.START ||
+      position == Easing.StepPosition.JUMP_BOTH;
+  var jumps = count;
+  if (position == Easing.StepPosition.JUMP_BOTH) {
+    jumps++;
+  } else if (position == Easing.StepPosition.JUMP_NONE) {
+    jumps--;
+  } else if (!jumpStart && position != Easing.StepPosition.JUMP_END &&
+             position != Easing.StepPosition.END) {
+    throw Error('Unknown step position: ' + position);
+  }
+  if (!XMath.isInt(count) || jumps < 1) {
+    throw Error('Invalid step count: ' + count);
+  }
+  return function(t) {
+    var step = Math.floor(t * count) + (jumpStart ? 1 : 0);
+    if (t >= 0 && step < 0) {
+      step = 0;
+    }
+    if (t <= 1 && step > jumps) {
+      step = jumps;
+    }
+    return step / jumps;
+  };
+};
+
+
+/**
+ * The CSS {@code ease} timing function.
+ * @type {Easing.EasingFunction}
+ */
+Easing.ease = Easing.cubicBezier(0.25, 0.1, 0.25, 1);
+
+
+/**
+ * The CSS {@code ease-in} timing function.
+ * @type {Easing.EasingFunction}
+ */
+Easing.easeIn = Easing.cubicBezier(0.42, 0, 1, 1);
+
+
+/**
+ * The CSS {@code ease-out} timing function.
+ * @type {Easing.EasingFunction}
+ */
+Easing.easeOut = Easing.cubicBezier(0, 0, 0.58, 1);
+
+
+/**
+ * The CSS {@code ease-in-out} timing function.
+ * @type {Easing.EasingFunction}
+ */
+Easing.easeInOut = Easing.cubicBezier(0.42, 0, 0.58, 1);
+
+
+/**
+ * Returns the Out variant of an In easing function.
+ * @param {Easing.EasingFunction} easeIn The In easing function.
+ * @return {Easing.EasingFunction} The Out easing function.
+ * @private
+ */
+Easing.out_ = function(easeIn) {
+  return function(t) {
+    return 1 - easeIn(1 - t);
+  };
+};
+
+
+/**
+ * Returns the InOut variant of an In easing function.
+ * @param {Easing.EasingFunction} easeIn The In easing function.
+ * @return {Easing.EasingFunction} The InOut easing function.
+ * @private
+ */
+Easing.inOut_ = function(easeIn) {
+  return function(t) {
+    return t < 0.5 ? easeIn(2 * t) / 2 : 1 - easeIn(2 - 2 * t) / 2;
+  };
+};
+
+
+/**
+ * The In variants of the Penner set, by name.
+ * @type {!Object.<string, Easing.EasingFunction>}
+ * @private
+ */
+Easing.PENNER_ = {
+  Quad: function(t) {
+    return t * t;
+  },
+  Cubic: function(t) {
+    return t * t * t;
+  },
+  Quart: function(t) {
+    return t * t * t * t;
+  },
+  Quint: function(t) {
+    return t * t * t * t * t;
+  },
+  Sine: function(t) {
+    return 1 - Math.cos(t * Math.PI / 2);
+  },
+  Expo: function(t) {
+    return t == 0 ? 0 : Math.pow(2, 10 * (t - 1));
+  },
+  Circ: function(t) {
+    return 1 - Math.sqrt(1 - t * t);
+  },
+  Back: function(t) {
+    var s = 1.70158;
+    return t * t * ((s + 1) * t - s);
+  },
+  Elastic: function(t) {
+    if (t == 0 || t == 1) {
+      return t;
+    }
+    return -Math.pow(2, 10 * (t - 1)) *
+        Math.sin((t - 1.075) * 2 * Math.PI / 0.3);
+  },
+  Bounce: function(t) {
+    t = 1 - t;
+    var bounce;
+    if (t < 1 / 2.75) {
+      bounce = 7.5625 * t * t;
+    } else if (t < 2 / 2.75) {
+      t -= 1.5 / 2.75;
+      bounce = 7.5625 * t * t + 0.75;
+    } else if (t < 2.5 / 2.75) {
+      t -= 2.25 / 2.75;
+      bounce = 7.5625 * t * t + 0.9375;
+    } else {
+      t -= 2.625 / 2.75;
+      bounce = 7.5625 * t * t + 0.984375;
+    }
+    return 1 - bounce;
+  }
+};
+
+
+// Defines easeInQuad, easeOutQuad, easeInOutQuad and so on.
+Object.keys(Easing.PENNER_).forEach(function(name) {
+  var easeIn = Easing.PENNER_[name];
+  Easing['easeIn' + name] = easeIn;
+  Easing['easeOut' + name] = Easing.out_(easeIn);
+  Easing['easeInOut' + name] = Easing.inOut_(easeIn);
+});
+
+module.exports = Easing;
@@ -0,0 +1,218 @@
+var Angle = require('./angle');
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+var XMath = require('./math');
+
+/**
+ * Class for representing ellipses with axes parallel to the X and Y axes.
+ * @param {number} x X coordinate of the center.
+ * @param {number} y Y coordinate of the center.
+ * @param {number} radiusX Radius along the X axis.
+ * @param {number} radiusY Radius along the Y axis.
+ * @constructor
+ */
+var Ellipse = function(x, y, radiusX, radiusY) {
+  /**
+   * X coordinate of the center.
+   * @type {number}
+   */
+  this.x = x;
+
+  /**
+   * Y coordinate of the center.
+   * @type {number}
+   */
+  this.y = y;
+
+  /**
+   * Radius along the X axis.
+   * @type {number}
+   */
+  this.radiusX = radiusX;
+
+  /**
+   * Radius along the Y axis.
+   * @type {number}
+   */
+  this.radiusY = radiusY;
+};
+
+
+/**
+ * Creates a new Ellipse around a center.
+ * @param {Coordinate.PointLike} center The center.
+ * @param {number} radiusX The radius along the X axis.
+ * @param {number} radiusY The radius along the Y axis.
+ * @return {!Ellipse} A new Ellipse.
+ */
+Ellipse.createAroundCenter = function(center, radiusX, radiusY) {
+  center = Coordinate.coerce(center);
+  return new Ellipse(center.x, center.y, radiusX, radiusY);
+};
+
+
+/**
+ * Creates the ellipse inscribed in a rectangle.
+ * @param {Rect.RectLike} rect The rectangle.
+ * @return {!Ellipse} A new Ellipse touching all sides of {@code rect}.
+ */
+Ellipse.createFromRect = function(rect) {
+  rect = Rect.coerce(rect);
+  return new Ellipse(rect.left + rect.width / 2, rect.top + rect.height / 2,
+                     rect.width / 2, rect.height / 2);
+};
+
+
+/**
+ * @return {!Ellipse} A new copy of this ellipse.
+ */
+Ellipse.prototype.clone = function() {
+  return new Ellipse(this.x, this.y, this.radiusX, this.radiusY);
+};
+
+
+/**
+ * Compares ellipses for equality.
+ * @param {Ellipse} a An Ellipse.
+ * @param {Ellipse} b An Ellipse.
+ * @return {boolean} True iff the ellipses have the same center and radii, or
+ *     if both are null.
+ */
+Ellipse.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.x == b.x && a.y == b.y &&
+      a.radiusX == b.radiusX && a.radiusY == b.radiusY;
+};
+
+
+/**
+ * Returns a nice string representing the ellipse.
+ * @return {string} In the form (50, 73 - 10rx x 5ry).
+ * @override
+ */
+Ellipse.prototype.toString = function() {
+  return '(' + this.x + ', ' + this.y + ' - ' +
+         this.radiusX + 'rx x ' + this.radiusY + 'ry)';
+};
+
+
+/**
+ * Creates an ellipse from its JSON form, as produced by
+ * {@code JSON.stringify}.
+ * @param {*} json An object with numeric x, y, radiusX and radiusY
+ *     properties.
+ * @return {!Ellipse} A new Ellipse.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Ellipse.fromJSON = function(json) {
+  if (!json || !XMath.isNumber(json.x) || !XMath.isNumber(json.y) ||
+      !XMath.isNumber(json.radiusX) || !XMath.isNumber(json.radiusY)) {
+    throw new TypeError('Expected {x, y, radiusX, radiusY}, got ' +
+        Json.describe(json));
+  }
+  return new Ellipse(json.x, json.y, json.radiusX, json.radiusY);
+};
+
+
+/**
+ * Creates an ellipse from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73 - 10rx x 5ry).
+ * @return {!Ellipse} A new Ellipse.
+ */
+Ellipse.parse = function(str) {
+  var match =
+      /^\s*\(([^,()]*),(.*?)\s-\s(.*?)rx\s*x\s*(.*?)ry\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid ellipse string: ' + str);
+  }
+  return new Ellipse(values[0], values[1], values[2], values[3]);
+};
+
+
+/**
+ * @return {!Coordinate} A new Coordinate at the center of the ellipse.
+ */
+Ellipse.prototype.getCenter = function() {
+  return new Coordinate(this.x, this.y);
+};
+
+
+/**
+ * @return {number} The area of the ellipse.
+ */
+Ellipse.prototype.area = function() {
+  return Math.PI * this.radiusX * this.radiusY;
+};
+
+
+/**
+ * Approximates the circumference of the ellipse, which has no closed form,
+ * with Ramanujan's second formula. It is exact for circles and within 0.04%
+ * for any ellipse.
+ * @return {number} The circumference of the ellipse.
+ */
+Ellipse.prototype.circumference = function() {
+  var a = this.radiusX;
+  var b = this.radiusY;
+  if (!(a + b)) {
+    return 0;
+  }
+  var h = (a - b) * (a - b) / ((a + b) * (a + b));
+  return Math.PI * (a + b) * (1 + 3 * h / (10 + Math.sqrt(4 - 3 * h)));
+};
+
+
+/**
+ * Tests whether the ellipse contains a point, boundary included.
+ * @param {Coordinate.PointLike} point The point.
+ * @return {boolean} Whether the point is inside the ellipse.
+ */
+Ellipse.prototype.contains = function(point) {
+  point = Coordinate.coerce(point);
+  var dx = point.x - this.x;
+  var dy = point.y - this.y;
+  // A flat ellipse is the segment between its ends.
+  if (!this.radiusX || !this.radiusY) {
+    return this.radiusX ? !dy && Math.abs(dx) <= Math.abs(this.radiusX) :
+        !dx && Math.abs(dy) <= Math.abs(this.radiusY);
+  }
+  var rx2 = this.radiusX * this.radiusX;
+  var ry2 = this.radiusY * this.radiusY;
+  return dx * dx * ry2 + dy * dy * rx2 <= rx2 * ry2;
+};
+
+
+/**
+ * Returns the point where a ray from the center of the ellipse at an angle
+ * crosses the ellipse, as {@code XMath.angleDx} and {@code XMath.angleDy}
+ * for a circle.
+ * @param {number} angle The angle, zero pointing in the +X direction.
+ * @param {Angle.Unit} unit The unit of {@code angle}.
+ * @return {!Coordinate} A new Coordinate on the ellipse.
+ */
+Ellipse.prototype.getPointAt = function(angle, unit) {
+  var direction = Angle.toVector(angle, 1, unit);
+  var a = this.radiusX;
+  var b = this.radiusY;
+  var distance = a * b / Math.sqrt(b * b * direction.x * direction.x +
+                                   a * a * direction.y * direction.y);
+  return direction.scale(distance || 0).translate(this.x, this.y);
+};
+
+
+/**
+ * @return {!Rect} A new Rect, the smallest containing the ellipse.
+ */
+Ellipse.prototype.getBounds = function() {
+  return new Rect(this.x - this.radiusX, this.y - this.radiusY,
+                  2 * this.radiusX, 2 * this.radiusY);
+};
+
+module.exports = Ellipse;
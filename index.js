@@ -1,7 +1,30 @@
 module.exports = {
+  AffineTransform: require('./affinetransform'),
+  Angle: require('./angle'),
+  Bezier: require('./bezier'),
   Box: require('./box'),
+  BoxModel: require('./boxmodel'),
+  Circle: require('./circle'),
   Coordinate: require('./coordinate'),
+  Coordinate3: require('./coordinate3'),
+  Easing: require('./easing'),
+  Ellipse: require('./ellipse'),
+  Json: require('./json'),
+  Layout: require('./layout'),
+  Line: require('./line'),
+  Matrix: require('./matrix'),
+  Packer: require('./packer'),
+  Polygon: require('./polygon'),
+  Random: require('./random'),
+  Range: require('./range'),
+  RangeSet: require('./rangeset'),
   Rect: require('./rect'),
+  Region: require('./region'),
+  RTree: require('./rtree'),
+  RunningStatistics: require('./runningstatistics'),
+  Similarity: require('./similarity'),
   Size: require('./size'),
+  Statistics: require('./statistics'),
+  Tween: require('./tween'),
   XMath: require('./math')
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Helpers for rebuilding geometry objects nested inside larger JSON documents.
+ *
+ * Where the geometry is found is described by a schema mirroring the shape of
+ * the document: a class with a {@code fromJSON} factory, such as
+ * {@code Rect}, converts the value at its position, an array holding a single
+ * schema converts every item of an array, and an object converts the values
+ * of its keys, with the key '*' standing for all keys not listed. Values not
+ * covered by the schema, as well as null values, are left as they are.
+ *
+ * For example, a saved document
+ * {"shapes": [{"name": "a", "bounds": [0, 0, 10, 5], "path": [[0, 0]]}]}
+ * is revived with the schema
+ * {shapes: [{bounds: Rect, path: [Coordinate]}]}.
+ */
+var Json = {};
+
+
+/**
+ * @typedef {{fromJSON: function(*): *}|!Array|!Object}
+ */
+Json.Schema;
+
+
+/**
+ * Rebuilds the geometry objects in a parsed JSON document.
+ * @param {*} value The parsed document.
+ * @param {Json.Schema} schema Where the geometry is found in the document.
+ * @return {*} A copy of the document with the values covered by the schema
+ *     converted.
+ * @throws {TypeError} If a value does not match the schema. The message
+ *     starts with the path of the value, such as $.shapes[2].bounds, or
+ *     $.shapes[2].path[0] for an item rejected by the {@code fromJSON}
+ *     factory of a class made of other geometry.
+ */
+Json.revive = function(value, schema) {
+  return Json.revive_(value, schema, '$');
+};
+
+
+/**
+ * Returns a reviver for {@code JSON.parse} which rebuilds the geometry objects
+ * in the parsed document, see {@code Json.revive}.
+ * @param {Json.Schema} schema Where the geometry is found in the document.
+ * @return {function(string, *): *} The reviver.
+ */
+Json.reviver = function(schema) {
+  return function(key, value) {
+    return key === '' ? Json.revive(value, schema) : value;
+  };
+};
+
+
+/**
+ * Parses a JSON document and rebuilds the geometry objects in it, see
+ * {@code Json.revive}.
+ * @param {string} text The JSON document.
+ * @param {Json.Schema} schema Where the geometry is found in the document.
+ * @return {*} The parsed document.
+ * @throws {TypeError} If a value does not match the schema.
+ */
+Json.parse = function(text, schema) {
+  return JSON.parse(text, Json.reviver(schema));
+};
+
+
+/**
+ * Converts the items of an array, for the {@code fromJSON} factories of
+ * classes made of other geometry. A TypeError thrown for an item gets the
+ * path of the item in its path property, such as .points[2], which
+ * {@code Json.revive} appends to the path it reports.
+ * @param {!Array} items The items.
+ * @param {function(*): T} fromJSON Converts an item.
+ * @param {string=} opt_path The path of {@code items} within the value being
+ *     converted, such as .points, defaults to the value itself.
+ * @return {!Array.<T>} The converted items.
+ * @template T
+ */
+Json.mapItems = function(items, fromJSON, opt_path) {
+  return items.map(function(item, i) {
+    try {
+      return fromJSON(item);
+    } catch (e) {
+      if (e instanceof TypeError) {
+        e.path = (opt_path || '') + '[' + i + ']' + (e.path || '');
+      }
+      throw e;
+    }
+  });
+};
+
+
+/**
+ * Describes a value for an error message, as JSON where possible. Unlike
+ * {@code JSON.stringify}, it does not throw for circular structures or
+ * BigInts, which would hide the error being reported.
+ * @param {*} value The value.
+ * @return {string} The description.
+ */
+Json.describe = function(value) {
+  try {
+    var text = JSON.stringify(value);
+    if (text !== undefined) {
+      return text;
+    }
+  } catch (e) {
+    // Fall back to the string form below.
+  }
+  try {
+    return String(value);
+  } catch (e) {
+    // Objects without a prototype have no toString.
+    return Object.prototype.toString.call(value);
+  }
+};
+
+
+/**
+ * @param {*} value A part of the parsed document.
+ * @param {Json.Schema} schema The part of the schema describing it.
+ * @param {string} path The path of {@code value} in the document.
+ * @return {*} The converted value.
+ * @private
+ */
+Json.revive_ = function(value, schema, path) {
+  if (value == null) {
+    return value;
+  }
+  if (schema && typeof schema.fromJSON == 'function') {
+    try {
+      return schema.fromJSON(value);
+    } catch (e) {
+      if (e instanceof TypeError) {
+        throw new TypeError('Invalid value at ' + path + (e.path || '') +
+            ': ' + e.message);
+      }
+      throw e;
+    }
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      throw new TypeError('Invalid value at ' + path +
+          ': Expected an array, got ' + Json.describe(value));
+    }
+    return value.map(function(item, i) {
+      return Json.revive_(item, schema[0], path + '[' + i + ']');
+    });
+  }
+  if (schema && typeof schema == 'object') {
+    if (typeof value != 'object' || Array.isArray(value)) {
+      throw new TypeError('Invalid value at ' + path +
+          ': Expected an object, got ' + Json.describe(value));
+    }
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+      var itemSchema = schema.hasOwnProperty(key) ? schema[key] : schema['*'];
+      // Defined rather than assigned, so a "__proto__" key stays a plain key
+      // as in JSON.parse instead of replacing the prototype of the result.
+      Object.defineProperty(result, key, {
+        value: itemSchema ?
+            Json.revive_(value[key], itemSchema, Json.childPath_(path, key)) :
+            value[key],
+        configurable: true,
+        enumerable: true,
+        writable: true
+      });
+    });
+    return result;
+  }
+  throw Error('Invalid schema at ' + path);
+};
+
+
+/**
+ * @param {string} path The path of an object.
+ * @param {string} key A key of the object.
+ * @return {string} The path of the value at {@code key}.
+ * @private
+ */
+Json.childPath_ = function(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ?
+      path + '.' + key : path + '[' + JSON.stringify(key) + ']';
+};
+
+module.exports = Json;
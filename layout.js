@@ -0,0 +1,318 @@
+var Coordinate = require('./coordinate');
+var Rect = require('./rect');
+var Size = require('./size');
+
+/**
+ * Placement of rectangles inside a container: fitting content with the CSS
+ * {@code object-fit} and {@code object-position} rules, and aligning and
+ * distributing rectangles as in a layout editor.
+ */
+var Layout = {};
+
+
+/**
+ * How content is sized to its container, named after the CSS
+ * {@code object-fit} values.
+ * @enum {string}
+ */
+Layout.ObjectFit = {
+  // Scaled to fit inside the container, keeping its aspect ratio.
+  CONTAIN: 'contain',
+  // Scaled to cover the container, keeping its aspect ratio.
+  COVER: 'cover',
+  // Stretched to the size of the container.
+  FILL: 'fill',
+  // Kept at its own size.
+  NONE: 'none',
+  // Kept at its own size, or scaled down as for CONTAIN if larger.
+  SCALE_DOWN: 'scale-down'
+};
+
+
+/**
+ * Edges or centers to align rectangles by.
+ * @enum {string}
+ */
+Layout.Alignment = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  TOP: 'top',
+  MIDDLE: 'middle',
+  BOTTOM: 'bottom'
+};
+
+
+/**
+ * @enum {string}
+ */
+Layout.Axis = {
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical'
+};
+
+
+/**
+ * Position of content inside its container, either a CSS
+ * {@code object-position} string of up to two keywords, percentages or pixel
+ * lengths, such as "right top" or "25% 10px", or the fractions of the free
+ * space left of and above the content, such as {x: 1, y: 0} for the top
+ * right corner.
+ * @typedef {string|Coordinate.PointLike}
+ */
+Layout.Position;
+
+
+/**
+ * Sizes content to its container following a CSS {@code object-fit} value.
+ *
+ * This function assumes that both Sizes contain strictly positive dimensions.
+ * @param {Size.SizeLike} size The size of the content.
+ * @param {Size.SizeLike} target The size of the container.
+ * @param {Layout.ObjectFit} fit How the content is sized.
+ * @return {!Size} A new Size of the content.
+ */
+Layout.fitSize = function(size, target, fit) {
+  size = Size.coerce(size);
+  target = Size.coerce(target);
+  switch (fit) {
+    case Layout.ObjectFit.CONTAIN:
+      return Size.scaleToFit(size, target);
+    case Layout.ObjectFit.COVER:
+      return Size.scaleToCover(size, target);
+    case Layout.ObjectFit.FILL:
+      return target.clone();
+    case Layout.ObjectFit.NONE:
+      return size.clone();
+    case Layout.ObjectFit.SCALE_DOWN:
+      return size.fitsInside(target) ?
+          size.clone() : Size.scaleToFit(size, target);
+  }
+  throw Error('Unknown object fit: ' + fit);
+};
+
+
+/**
+ * Places content inside its container as an element with the CSS
+ * {@code object-fit} and {@code object-position} properties. The content may
+ * overflow the container for COVER and NONE.
+ * @param {Size.SizeLike} size The size of the content.
+ * @param {Rect.RectLike} target The container.
+ * @param {Layout.ObjectFit=} opt_fit How the content is sized, defaults to
+ *     FILL as in CSS.
+ * @param {Layout.Position=} opt_position Where the content is placed,
+ *     defaults to the center.
+ * @return {!Rect} A new Rect covered by the content.
+ */
+Layout.fit = function(size, target, opt_fit, opt_position) {
+  target = Rect.coerce(target);
+  return Layout.place(
+      Layout.fitSize(size, target.getSize(),
+                     opt_fit || Layout.ObjectFit.FILL),
+      target, opt_position);
+};
+
+
+/**
+ * Places content of a given size inside its container, as the CSS
+ * {@code object-position} property.
+ * @param {Size.SizeLike} size The size of the content.
+ * @param {Rect.RectLike} target The container.
+ * @param {Layout.Position=} opt_position Where the content is placed,
+ *     defaults to the center.
+ * @return {!Rect} A new Rect covered by the content.
+ */
+Layout.place = function(size, target, opt_position) {
+  size = Size.coerce(size);
+  target = Rect.coerce(target);
+  var position = Layout.parsePosition_(
+      opt_position === undefined ? '50% 50%' : opt_position);
+  return new Rect(
+      target.left + (target.width - size.width) * position.x +
+          position.offsetX,
+      target.top + (target.height - size.height) * position.y +
+          position.offsetY,
+      size.width, size.height);
+};
+
+
+/**
+ * Centers a rectangle on another one.
+ * @param {Rect.RectLike} rect The rectangle to move.
+ * @param {Rect.RectLike} target The rectangle to center on.
+ * @return {!Rect} A new Rect of the size of {@code rect}.
+ */
+Layout.center = function(rect, target) {
+  target = Rect.coerce(target);
+  return Rect.createAroundCenter(
+      new Coordinate(target.left + target.width / 2,
+                     target.top + target.height / 2),
+      Rect.coerce(rect).getSize());
+};
+
+
+/**
+ * Aligns the edges or centers of rectangles, moving them along one axis.
+ * @param {!Array.<Rect.RectLike>} rects The rectangles.
+ * @param {Layout.Alignment} alignment The edge or center to align.
+ * @param {Rect.RectLike=} opt_target The rectangle to align to, defaults to
+ *     the bounding rectangle of {@code rects}.
+ * @return {!Array.<!Rect>} New Rects, in the order of {@code rects}.
+ */
+Layout.align = function(rects, alignment, opt_target) {
+  rects = rects.map(function(rect) {
+    return Rect.coerce(rect).clone();
+  });
+  var target = opt_target ? Rect.coerce(opt_target) :
+      Layout.boundingRect_(rects);
+  if (!target) {
+    return rects;
+  }
+  var horizontal = alignment == Layout.Alignment.LEFT ||
+      alignment == Layout.Alignment.CENTER ||
+      alignment == Layout.Alignment.RIGHT;
+  var fraction;
+  if (alignment == Layout.Alignment.LEFT ||
+      alignment == Layout.Alignment.TOP) {
+    fraction = 0;
+  } else if (alignment == Layout.Alignment.CENTER ||
+             alignment == Layout.Alignment.MIDDLE) {
+    fraction = 0.5;
+  } else if (alignment == Layout.Alignment.RIGHT ||
+             alignment == Layout.Alignment.BOTTOM) {
+    fraction = 1;
+  } else {
+    throw Error('Unknown alignment: ' + alignment);
+  }
+  rects.forEach(function(rect) {
+    if (horizontal) {
+      rect.left = target.left + (target.width - rect.width) * fraction;
+    } else {
+      rect.top = target.top + (target.height - rect.height) * fraction;
+    }
+  });
+  return rects;
+};
+
+
+/**
+ * Moves rectangles along an axis so the gaps between them are equal, keeping
+ * their order along the axis.
+ * @param {!Array.<Rect.RectLike>} rects The rectangles.
+ * @param {Layout.Axis} axis The axis to move the rectangles along.
+ * @param {Rect.RectLike=} opt_target The rectangle to spread them across,
+ *     with the first and last rectangles against its edges. Defaults to the
+ *     bounding rectangle of {@code rects}, so the first and last rectangles
+ *     stay in place.
+ * @return {!Array.<!Rect>} New Rects, in the order of {@code rects}.
+ */
+Layout.distribute = function(rects, axis, opt_target) {
+  if (axis != Layout.Axis.HORIZONTAL && axis != Layout.Axis.VERTICAL) {
+    throw Error('Unknown axis: ' + axis);
+  }
+  rects = rects.map(function(rect) {
+    return Rect.coerce(rect).clone();
+  });
+  var target = opt_target ? Rect.coerce(opt_target) :
+      Layout.boundingRect_(rects);
+  if (!target) {
+    return rects;
+  }
+  var start = axis == Layout.Axis.HORIZONTAL ? 'left' : 'top';
+  var length = axis == Layout.Axis.HORIZONTAL ? 'width' : 'height';
+
+  // Order by center along the axis.
+  var sorted = rects.slice().sort(function(a, b) {
+    return a[start] + a[length] / 2 - b[start] - b[length] / 2;
+  });
+  var used = 0;
+  sorted.forEach(function(rect) {
+    used += rect[length];
+  });
+  var gap = sorted.length > 1 ?
+      (target[length] - used) / (sorted.length - 1) : 0;
+  var position = target[start];
+  if (sorted.length == 1) {
+    position += (target[length] - used) / 2;
+  }
+  sorted.forEach(function(rect) {
+    rect[start] = position;
+    position += rect[length] + gap;
+  });
+  return rects;
+};
+
+
+/**
+ * @param {!Array.<!Rect>} rects Rectangles.
+ * @return {Rect} A new Rect containing all of them, or null if there are
+ *     none.
+ * @private
+ */
+Layout.boundingRect_ = function(rects) {
+  return rects.reduce(function(bounds, rect) {
+    return bounds ? Rect.boundingRect(bounds, rect) : rect.clone();
+  }, null);
+};
+
+
+/**
+ * Reads a position as the fraction of the free space and the pixel offset
+ * placed left of and above the content.
+ * @param {Layout.Position} position The position.
+ * @return {{x: number, offsetX: number, y: number, offsetY: number}} The
+ *     fractions and offsets.
+ * @private
+ */
+Layout.parsePosition_ = function(position) {
+  if (typeof position != 'string') {
+    position = Coordinate.coerce(position);
+    return {x: position.x, offsetX: 0, y: position.y, offsetY: 0};
+  }
+
+  var tokens = position.trim().toLowerCase().split(/\s+/);
+  if (tokens.length > 2 || !tokens[0]) {
+    throw Error('Invalid position: ' + position);
+  }
+  if (tokens.length == 1) {
+    tokens.push('center');
+  }
+  // A vertical keyword first, or a horizontal one second, swaps the axes.
+  if (/^(top|bottom)$/.test(tokens[0]) || /^(left|right)$/.test(tokens[1])) {
+    tokens.reverse();
+  }
+  var x = Layout.parsePositionValue_(tokens[0], 'left', 'right');
+  var y = Layout.parsePositionValue_(tokens[1], 'top', 'bottom');
+  if (!x || !y) {
+    throw Error('Invalid position: ' + position);
+  }
+  return {x: x.fraction, offsetX: x.offset, y: y.fraction, offsetY: y.offset};
+};
+
+
+/**
+ * @param {string} token A keyword, percentage or pixel length.
+ * @param {string} startKeyword The keyword of the start of the axis.
+ * @param {string} endKeyword The keyword of the end of the axis.
+ * @return {?{fraction: number, offset: number}} The fraction of the free
+ *     space and the pixel offset, or null if the token is not valid on the
+ *     axis.
+ * @private
+ */
+Layout.parsePositionValue_ = function(token, startKeyword, endKeyword) {
+  if (token == startKeyword || token == 'center' || token == endKeyword) {
+    return {
+      fraction: token == startKeyword ? 0 : token == endKeyword ? 1 : 0.5,
+      offset: 0
+    };
+  }
+  var match = /^(-?(?:\d+\.?\d*|\.\d+))(%|px)?$/.exec(token);
+  if (!match || (!match[2] && Number(match[1]))) {
+    return null;
+  }
+  var value = Number(match[1]);
+  return match[2] == '%' ?
+      {fraction: value / 100, offset: 0} : {fraction: 0, offset: value};
+};
+
+module.exports = Layout;
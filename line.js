@@ -0,0 +1,329 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_line.js.source.html
+
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var XMath = require('./math');
+
+/**
+ * Object representing a line segment. The segment also defines the infinite
+ * line passing through both of its end points.
+ * @param {number} x0 X coordinate of the start point.
+ * @param {number} y0 Y coordinate of the start point.
+ * @param {number} x1 X coordinate of the end point.
+ * @param {number} y1 Y coordinate of the end point.
+ * @constructor
+ */
+var Line = function(x0, y0, x1, y1) {
+  /**
+   * X coordinate of the first point.
+   * @type {number}
+   */
+  this.x0 = x0;
+
+  /**
+   * Y coordinate of the first point.
+   * @type {number}
+   */
+  this.y0 = y0;
+
+  /**
+   * X coordinate of the second point.
+   * @type {number}
+   */
+  this.x1 = x1;
+
+  /**
+   * Y coordinate of the second point.
+   * @type {number}
+   */
+  this.y1 = y1;
+};
+
+
+/**
+ * Creates a new Line between two coordinates.
+ * @param {Coordinate.PointLike} start The start point.
+ * @param {Coordinate.PointLike} end The end point.
+ * @return {!Line} A new Line from {@code start} to {@code end}.
+ */
+Line.createFromCoordinates = function(start, end) {
+  start = Coordinate.coerce(start);
+  end = Coordinate.coerce(end);
+  return new Line(start.x, start.y, end.x, end.y);
+};
+
+
+/**
+ * @return {!Line} A copy of this line.
+ */
+Line.prototype.clone = function() {
+  return new Line(this.x0, this.y0, this.x1, this.y1);
+};
+
+
+/**
+ * Tests whether the given line is exactly the same as this one.
+ * @param {Line} other The other line.
+ * @return {boolean} Whether the given line is the same as this one.
+ */
+Line.prototype.equals = function(other) {
+  return this == other || !!other &&
+      this.x0 == other.x0 && this.y0 == other.y0 &&
+      this.x1 == other.x1 && this.y1 == other.y1;
+};
+
+
+/**
+ * Returns a nice string representing the line.
+ * @return {string} In the form (50, 73 -> 20, 10).
+ * @override
+ */
+Line.prototype.toString = function() {
+  return '(' + this.x0 + ', ' + this.y0 + ' -> ' +
+         this.x1 + ', ' + this.y1 + ')';
+};
+
+
+/**
+ * Creates a line from its JSON form, as produced by {@code JSON.stringify}.
+ * @param {*} json An object with numeric x0, y0, x1 and y1 properties.
+ * @return {!Line} A new Line.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Line.fromJSON = function(json) {
+  if (!json || !XMath.isNumber(json.x0) || !XMath.isNumber(json.y0) ||
+      !XMath.isNumber(json.x1) || !XMath.isNumber(json.y1)) {
+    throw new TypeError('Expected {x0, y0, x1, y1}, got ' +
+        Json.describe(json));
+  }
+  return new Line(json.x0, json.y0, json.x1, json.y1);
+};
+
+
+/**
+ * Creates a line from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73 -> 20, 10).
+ * @return {!Line} A new Line.
+ */
+Line.parse = function(str) {
+  var match =
+      /^\s*\(([^,()]*),([^,()]*)->([^,()]*),([^,()]*)\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid line string: ' + str);
+  }
+  return new Line(values[0], values[1], values[2], values[3]);
+};
+
+
+/**
+ * @return {!Coordinate} The start point of the segment.
+ */
+Line.prototype.getStart = function() {
+  return new Coordinate(this.x0, this.y0);
+};
+
+
+/**
+ * @return {!Coordinate} The end point of the segment.
+ */
+Line.prototype.getEnd = function() {
+  return new Coordinate(this.x1, this.y1);
+};
+
+
+/**
+ * @return {number} The squared length of the line segment used to define the
+ *     line.
+ */
+Line.prototype.getSegmentLengthSquared = function() {
+  var xdist = this.x1 - this.x0;
+  var ydist = this.y1 - this.y0;
+  return xdist * xdist + ydist * ydist;
+};
+
+
+/**
+ * @return {number} The length of the line segment used to define the line.
+ */
+Line.prototype.getSegmentLength = function() {
+  return Math.sqrt(this.getSegmentLengthSquared());
+};
+
+
+/**
+ * @return {!Coordinate} The point halfway between the end points.
+ */
+Line.prototype.getMidpoint = function() {
+  return this.getInterpolatedPoint(0.5);
+};
+
+
+/**
+ * Computes the interpolation parameter for the point on the line closest to
+ * a given point.
+ * @param {number|Coordinate} x The x coordinate of the point, or a Coordinate.
+ * @param {number=} opt_y The y coordinate of the point - required if x is a
+ *     number, ignored if x is a Coordinate.
+ * @return {number} The interpolation parameter of the point on the line
+ *     closest to the given point.
+ */
+Line.prototype.getClosestLinearInterpolation = function(x, opt_y) {
+  var y;
+  if (!XMath.isNumber(x)) {
+    x = Coordinate.coerce(x);
+    y = x.y;
+    x = x.x;
+  } else {
+    y = opt_y;
+  }
+
+  var x0 = this.x0;
+  var y0 = this.y0;
+
+  var xChange = this.x1 - x0;
+  var yChange = this.y1 - y0;
+
+  var lengthSquared = this.getSegmentLengthSquared();
+  if (!lengthSquared) {
+    return 0;
+  }
+  return ((x - x0) * xChange + (y - y0) * yChange) / lengthSquared;
+};
+
+
+/**
+ * Returns the point on the line segment proportional to t, where for t = 0 we
+ * return the starting point and for t = 1 we return the end point. For t < 0
+ * or t > 1 we extrapolate along the line defined by the line segment.
+ * @param {number} t The interpolation parameter along the line segment.
+ * @return {!Coordinate} The point on the line segment at t.
+ */
+Line.prototype.getInterpolatedPoint = function(t) {
+  return Coordinate.lerp(this.getStart(), this.getEnd(), t);
+};
+
+
+/**
+ * Computes the point on the line closest to a given point. Note that a line
+ * in this case is defined as the infinite line going through the start and
+ * end points. To find the closest point on the line segment itself use
+ * {@link #getClosestSegmentPoint}.
+ * @param {number|Coordinate} x The x coordinate of the point, or a Coordinate.
+ * @param {number=} opt_y The y coordinate of the point - required if x is a
+ *     number, ignored if x is a Coordinate.
+ * @return {!Coordinate} The projection of the given point onto the line.
+ */
+Line.prototype.getClosestPoint = function(x, opt_y) {
+  return this.getInterpolatedPoint(
+      this.getClosestLinearInterpolation(x, opt_y));
+};
+
+
+/**
+ * Computes the point on the line segment closest to a given point.
+ * @param {number|Coordinate} x The x coordinate of the point, or a Coordinate.
+ * @param {number=} opt_y The y coordinate of the point - required if x is a
+ *     number, ignored if x is a Coordinate.
+ * @return {!Coordinate} The point on the line segment closest to the given
+ *     point.
+ */
+Line.prototype.getClosestSegmentPoint = function(x, opt_y) {
+  return this.getInterpolatedPoint(
+      XMath.clamp(this.getClosestLinearInterpolation(x, opt_y), 0, 1));
+};
+
+
+/**
+ * Returns the distance between a point and the line segment.
+ * @param {number|Coordinate} x The x coordinate of the point, or a Coordinate.
+ * @param {number=} opt_y The y coordinate of the point - required if x is a
+ *     number, ignored if x is a Coordinate.
+ * @return {number} The distance between the point and the nearest point of
+ *     the segment.
+ */
+Line.prototype.getDistance = function(x, opt_y) {
+  var point = XMath.isNumber(x) ?
+      new Coordinate(x, opt_y) : Coordinate.coerce(x);
+  return Coordinate.distance(point, this.getClosestSegmentPoint(point));
+};
+
+
+/**
+ * Compares lines for equality.
+ * @param {Line} a A Line.
+ * @param {Line} b A Line.
+ * @return {boolean} True iff the lines are equal, or if both are null.
+ */
+Line.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.equals(b);
+};
+
+
+/**
+ * Returns the point where two line segments meet. When the segments are
+ * collinear and overlap, the point of the overlap closest to the start of
+ * {@code a} is returned.
+ * @param {!Line} a A Line.
+ * @param {!Line} b A Line.
+ * @return {Coordinate} A new Coordinate where the segments meet, or null if
+ *     they do not.
+ */
+Line.intersection = function(a, b) {
+  var rx = a.x1 - a.x0;
+  var ry = a.y1 - a.y0;
+  var sx = b.x1 - b.x0;
+  var sy = b.y1 - b.y0;
+  var qx = b.x0 - a.x0;
+  var qy = b.y0 - a.y0;
+
+  var denominator = rx * sy - ry * sx;
+  var qxr = qx * ry - qy * rx;
+
+  if (denominator == 0) {
+    if (qxr != 0) {
+      // Parallel and not on the same line.
+      return null;
+    }
+    var rr = rx * rx + ry * ry;
+    if (!rr) {
+      // a is a single point, it meets b only if it lies on it.
+      var point = a.getStart();
+      return Coordinate.equals(b.getClosestSegmentPoint(point), point) ?
+          point : null;
+    }
+    // Collinear, project b onto a and intersect the parameter ranges.
+    var t0 = (qx * rx + qy * ry) / rr;
+    var t1 = t0 + (sx * rx + sy * ry) / rr;
+    var from = Math.max(0, Math.min(t0, t1));
+    var to = Math.min(1, Math.max(t0, t1));
+    return from <= to ? a.getInterpolatedPoint(from) : null;
+  }
+
+  var t = (qx * sy - qy * sx) / denominator;
+  var u = qxr / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) {
+    return null;
+  }
+  return a.getInterpolatedPoint(t);
+};
+
+
+/**
+ * Returns whether two line segments meet.
+ * @param {!Line} a A Line.
+ * @param {!Line} b A Line.
+ * @return {boolean} Whether the segments meet.
+ */
+Line.intersects = function(a, b) {
+  return !!Line.intersection(a, b);
+};
+
+module.exports = Line;
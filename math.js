@@ -3,13 +3,33 @@
 
 var XMath = {};
 
+
+/**
+ * Seedable pseudo-random number generator accepted by the random helpers.
+ * @type {function(new:Random, number=)}
+ */
+XMath.Random = require('./random');
+
+
+/**
+ * Returns a random number greater than or equal to 0 and less than 1, taken
+ * from the given generator or from {@code Math.random} if none is given.
+ * @param {Random=} opt_random Generator to use.
+ * @return {number} A random number N such that 0 <= N < 1.
+ */
+XMath.random = function(opt_random) {
+  return opt_random ? opt_random.next() : Math.random();
+};
+
+
 /**
  * Returns a random integer greater than or equal to 0 and less than {@code a}.
  * @param {number} a  The upper bound for the random integer (exclusive).
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {number} A random integer N such that 0 <= N < a.
  */
-XMath.randomInt = function(a) {
-  return Math.floor(Math.random() * a);
+XMath.randomInt = function(a, opt_random) {
+  return Math.floor(XMath.random(opt_random) * a);
 };
 
 
@@ -18,10 +38,11 @@ XMath.randomInt = function(a) {
  * {@code b}.
  * @param {number} a  The lower bound for the random number (inclusive).
  * @param {number} b  The upper bound for the random number (exclusive).
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {number} A random number N such that a <= N < b.
  */
-XMath.uniformRandom = function(a, b) {
-  return a + Math.random() * (b - a);
+XMath.uniformRandom = function(a, b, opt_random) {
+  return a + XMath.random(opt_random) * (b - a);
 };
 
 
@@ -30,10 +51,11 @@ XMath.uniformRandom = function(a, b) {
  * {@code b}.
  * @param {number} a  The lower bound for the random number (floor inclusive).
  * @param {number} b  The upper bound for the random number (ceil exclusive).
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {number} A random integer N such that a <= N < b.
  */
-XMath.uniformRandomInt = function(a, b) {
-  return Math.floor(XMath.uniformRandom(a, b));
+XMath.uniformRandomInt = function(a, b, opt_random) {
+  return Math.floor(XMath.uniformRandom(a, b, opt_random));
 };
 
 
@@ -240,69 +262,246 @@ XMath.sign = function(x) {
 XMath.longestCommonSubsequence = function(
     array1, array2, opt_compareFn, opt_collectorFn) {
 
+  var collect = opt_collectorFn || function(i1, i2) {
+    return array1[i1];
+  };
+
+  return XMath.diff(array1, array2, opt_compareFn).filter(function(edit) {
+    return edit.operation == XMath.EditOperation.KEEP;
+  }).map(function(edit) {
+    return collect(edit.index1, edit.index2);
+  });
+};
+
+
+/**
+ * Operations of an edit script turning one array into another.
+ * @enum {string}
+ */
+XMath.EditOperation = {
+  KEEP: 'keep',
+  INSERT: 'insert',
+  DELETE: 'delete'
+};
+
+
+/**
+ * A step of an edit script. {@code index1} and {@code index2} are the
+ * positions in the first and in the second array reached by the step: the
+ * kept or deleted element is at {@code index1} of the first array, the kept or
+ * inserted element at {@code index2} of the second one. Insertions also
+ * carry the inserted element as {@code value}.
+ * @typedef {{operation: XMath.EditOperation, index1: number, index2: number,
+ *     value: (*|undefined)}}
+ */
+XMath.Edit;
+
+
+/**
+ * Computes the shortest edit script turning one array into another, using
+ * Myers' O((N + M) D) diff algorithm in its linear space variant.
+ * http://www.xmailserver.org/diff2.pdf
+ *
+ * @param {Array.<Object>} array1 First array of objects.
+ * @param {Array.<Object>} array2 Second array of objects.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the array ojects. Function should return true if objects are equal,
+ *     otherwise false.
+ * @return {!Array.<XMath.Edit>} The edits, one per element kept, inserted or
+ *     deleted, in order.
+ */
+XMath.diff = function(array1, array2, opt_compareFn) {
   var compare = opt_compareFn || function(a, b) {
     return a == b;
   };
+  var script = [];
+  XMath.diffRange_(array1, 0, array1.length, array2, 0, array2.length,
+                   compare, script);
+  return script;
+};
 
-  var collect = opt_collectorFn || function(i1, i2) {
-    return array1[i1];
-  };
 
-  var length1 = array1.length;
-  var length2 = array2.length;
+/**
+ * Applies an edit script computed by {@code XMath.diff} to the first array.
+ * @param {Array.<Object>} array The first array given to {@code XMath.diff}.
+ * @param {!Array.<XMath.Edit>} script The edit script.
+ * @return {!Array.<Object>} A new array equal to the second array given to
+ *     {@code XMath.diff}.
+ */
+XMath.patch = function(array, script) {
+  var result = [];
+  var index = 0;
+  script.forEach(function(edit) {
+    if (edit.operation == XMath.EditOperation.INSERT) {
+      result.push(edit.value);
+      return;
+    }
+    if (edit.index1 != index || index >= array.length ||
+        edit.operation != XMath.EditOperation.KEEP &&
+        edit.operation != XMath.EditOperation.DELETE) {
+      throw Error('Edit script does not apply at index ' + index);
+    }
+    if (edit.operation == XMath.EditOperation.KEEP) {
+      result.push(array[index]);
+    }
+    index++;
+  });
+  if (index != array.length) {
+    throw Error('Edit script does not apply at index ' + index);
+  }
+  return result;
+};
+
 
-  var arr = [];
-  for (var i = 0; i < length1 + 1; i++) {
-    arr[i] = [];
-    arr[i][0] = 0;
+/**
+ * Appends the edits turning a slice of one array into a slice of another.
+ * @param {Array.<Object>} a First array.
+ * @param {number} aStart Start of the slice of the first array.
+ * @param {number} aEnd End of the slice of the first array, exclusive.
+ * @param {Array.<Object>} b Second array.
+ * @param {number} bStart Start of the slice of the second array.
+ * @param {number} bEnd End of the slice of the second array, exclusive.
+ * @param {function(*, *): boolean} compare Equality of elements.
+ * @param {!Array.<XMath.Edit>} script The edits so far.
+ * @private
+ */
+XMath.diffRange_ = function(a, aStart, aEnd, b, bStart, bEnd, compare,
+                            script) {
+  while (aStart < aEnd && bStart < bEnd && compare(a[aStart], b[bStart])) {
+    XMath.pushEdits_(script, XMath.EditOperation.KEEP, aStart++, bStart++, 1);
+  }
+  var suffix = 0;
+  while (aStart < aEnd && bStart < bEnd &&
+         compare(a[aEnd - 1], b[bEnd - 1])) {
+    aEnd--;
+    bEnd--;
+    suffix++;
   }
 
-  for (var j = 0; j < length2 + 1; j++) {
-    arr[0][j] = 0;
+  if (aStart == aEnd || bStart == bEnd) {
+    XMath.pushEdits_(script, XMath.EditOperation.DELETE, aStart, bStart,
+                     aEnd - aStart);
+    XMath.pushEdits_(script, XMath.EditOperation.INSERT, aEnd, bStart,
+                     bEnd - bStart, b);
+  } else {
+    var snake = XMath.middleSnake_(a, aStart, aEnd, b, bStart, bEnd, compare);
+    XMath.diffRange_(a, aStart, snake[0], b, bStart, snake[1], compare,
+                     script);
+    XMath.pushEdits_(script, XMath.EditOperation.KEEP, snake[0], snake[1],
+                     snake[2] - snake[0]);
+    XMath.diffRange_(a, snake[2], aEnd, b, snake[3], bEnd, compare, script);
   }
 
-  for (i = 1; i <= length1; i++) {
-    for (j = 1; j <= length1; j++) {
-      if (compare(array1[i - 1], array2[j - 1])) {
-        arr[i][j] = arr[i - 1][j - 1] + 1;
-      } else {
-        arr[i][j] = Math.max(arr[i - 1][j], arr[i][j - 1]);
+  XMath.pushEdits_(script, XMath.EditOperation.KEEP, aEnd, bEnd, suffix);
+};
+
+
+/**
+ * Finds the middle snake of an optimal edit path between two slices, the
+ * run of equal elements in the middle of the path, by searching from both
+ * ends at once.
+ * @param {Array.<Object>} a First array.
+ * @param {number} aStart Start of the slice of the first array.
+ * @param {number} aEnd End of the slice of the first array, exclusive.
+ * @param {Array.<Object>} b Second array.
+ * @param {number} bStart Start of the slice of the second array.
+ * @param {number} bEnd End of the slice of the second array, exclusive.
+ * @param {function(*, *): boolean} compare Equality of elements.
+ * @return {!Array.<number>} The start and end of the snake as
+ *     [index1, index2, endIndex1, endIndex2].
+ * @private
+ */
+XMath.middleSnake_ = function(a, aStart, aEnd, b, bStart, bEnd, compare) {
+  var n = aEnd - aStart;
+  var m = bEnd - bStart;
+  var delta = n - m;
+  var odd = delta % 2 != 0;
+  var max = Math.ceil((n + m) / 2);
+  // Furthest x reached on each diagonal k = x - y, offset to be non-negative.
+  // Backward paths are measured from the ends of the slices.
+  var forward = [];
+  var backward = [];
+  forward[max + 1] = 0;
+  backward[max + 1] = 0;
+
+  for (var d = 0; d <= max; d++) {
+    for (var k = -d; k <= d; k += 2) {
+      var x = k == -d || k != d && forward[max + k - 1] < forward[max + k + 1] ?
+          forward[max + k + 1] : forward[max + k - 1] + 1;
+      var y = x - k;
+      var x0 = x;
+      var y0 = y;
+      while (x < n && y < m && compare(a[aStart + x], b[bStart + y])) {
+        x++;
+        y++;
+      }
+      forward[max + k] = x;
+      var c = delta - k;
+      if (odd && c >= 1 - d && c <= d - 1 && x + backward[max + c] >= n) {
+        return [aStart + x0, bStart + y0, aStart + x, bStart + y];
       }
     }
-  }
-
-  // Backtracking
-  var result = [];
-  var i = length1, j = length2;
-  while (i > 0 && j > 0) {
-    if (compare(array1[i - 1], array2[j - 1])) {
-      result.unshift(collect(i - 1, j - 1));
-      i--;
-      j--;
-    } else {
-      if (arr[i - 1][j] > arr[i][j - 1]) {
-        i--;
-      } else {
-        j--;
+    for (k = -d; k <= d; k += 2) {
+      x = k == -d || k != d && backward[max + k - 1] < backward[max + k + 1] ?
+          backward[max + k + 1] : backward[max + k - 1] + 1;
+      y = x - k;
+      x0 = x;
+      y0 = y;
+      while (x < n && y < m &&
+             compare(a[aEnd - 1 - x], b[bEnd - 1 - y])) {
+        x++;
+        y++;
+      }
+      backward[max + k] = x;
+      c = delta - k;
+      if (!odd && c >= -d && c <= d && x + forward[max + c] >= n) {
+        return [aEnd - x, bEnd - y, aEnd - x0, bEnd - y0];
       }
     }
   }
+  // Paths of length n + m always meet, so this is never reached.
+  throw Error('No middle snake found');
+};
 
-  return result;
+
+/**
+ * Appends a run of edits of the same kind.
+ * @param {!Array.<XMath.Edit>} script The edits so far.
+ * @param {XMath.EditOperation} operation The operation.
+ * @param {number} index1 Index in the first array of the first edit.
+ * @param {number} index2 Index in the second array of the first edit.
+ * @param {number} count Number of edits.
+ * @param {Array.<Object>=} opt_array2 The second array, to take inserted
+ *     elements from.
+ * @private
+ */
+XMath.pushEdits_ = function(script, operation, index1, index2, count,
+                            opt_array2) {
+  for (var i = 0; i < count; i++) {
+    var edit = {
+      operation: operation,
+      index1: operation == XMath.EditOperation.INSERT ? index1 : index1 + i,
+      index2: operation == XMath.EditOperation.DELETE ? index2 : index2 + i
+    };
+    if (opt_array2) {
+      edit.value = opt_array2[index2 + i];
+    }
+    script.push(edit);
+  }
 };
 
 
 /**
  * Returns the sum of the arguments.
- * @param {...number} var_args Numbers to add.
+ * @param {...number|!Array.<number>} var_args Numbers to add, or a single
+ *     array of them.
  * @return {number} The sum of the arguments (0 if no arguments were provided,
  *     {@code NaN} if any of the arguments is not a valid number).
  */
 XMath.sum = function(var_args) {
-  return /** @type {number} */ ([].reduce.call(arguments,
-      function(sum, value) {
-        return sum + value;
-      }, 0));
+  return XMath.argumentsArray(arguments).reduce(function(sum, value) {
+    return sum + value;
+  }, 0);
 };
 
 
@@ -326,12 +525,14 @@ XMath.weightedSum = function(values, weights) {
 
 /**
  * Returns the arithmetic mean of the arguments.
- * @param {...number} var_args Numbers to average.
+ * @param {...number|!Array.<number>} var_args Numbers to average, or a single
+ *     array of them.
  * @return {number} The average of the arguments ({@code NaN} if no arguments
  *     were provided or any of the arguments is not a valid number).
  */
 XMath.average = function(var_args) {
-  return XMath.sum.apply(null, arguments) / arguments.length;
+  var values = XMath.argumentsArray(arguments);
+  return XMath.sum(values) / values.length;
 };
 
 
@@ -352,27 +553,42 @@ XMath.weightedAverage = function(values, weights) {
  * Returns the sample standard deviation of the arguments.  For a definition of
  * sample standard deviation, see e.g.
  * http://en.wikipedia.org/wiki/Standard_deviation
- * @param {...number} var_args Number samples to analyze.
+ * @param {...number|!Array.<number>} var_args Number samples to analyze, or a
+ *     single array of them.
  * @return {number} The sample standard deviation of the arguments (0 if fewer
  *     than two samples were provided, or {@code NaN} if any of the samples is
  *     not a valid number).
  */
 XMath.standardDeviation = function(var_args) {
-  var sampleSize = arguments.length;
+  var values = XMath.argumentsArray(arguments);
+  var sampleSize = values.length;
   if (sampleSize < 2) {
     return 0;
   }
 
-  var mean = XMath.average.apply(null, arguments);
-  var variance = XMath.sum.apply(null, [].map.call(arguments,
-      function(val) {
-        return Math.pow(val - mean, 2);
-      })) / (sampleSize - 1);
+  var mean = XMath.average(values);
+  var variance = XMath.sum(values.map(function(val) {
+    return Math.pow(val - mean, 2);
+  })) / (sampleSize - 1);
 
   return Math.sqrt(variance);
 };
 
 
+/**
+ * Returns the numbers passed to a function taking either numbers as var_args
+ * or a single array of numbers, such as {@code XMath.sum} and the functions
+ * of {@code Statistics}.
+ * @param {!Arguments} args The arguments of the function.
+ * @return {!Array.<number>} The array passed as the only argument, otherwise
+ *     the arguments as an array.
+ */
+XMath.argumentsArray = function(args) {
+  return args.length == 1 && Array.isArray(args[0]) ?
+      args[0] : [].slice.call(args);
+};
+
+
 /**
  * Returns true if the specified value is a number
  * @param {*} val Variable to test.
@@ -404,6 +620,21 @@ XMath.isFiniteNumber = function(num) {
 };
 
 
+/**
+ * Converts a string holding a single number in the notation produced by
+ * {@code String} back to that number. Unlike {@code Number}, empty strings and
+ * hexadecimal, octal and binary notations are rejected.
+ * @param {string} str The string to convert, surrounding whitespace is
+ *     ignored.
+ * @return {number} The number, or NaN if {@code str} is not a number.
+ */
+XMath.parseNumber = function(str) {
+  str = str.trim();
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$|^[+-]?Infinity$/i.test(str) ?
+      Number(str) : NaN;
+};
+
+
 /**
  * A tweaked variant of {@code Math.floor} which tolerates if the passed number
  * is infinitesimally smaller than the closest integer. It often happens with
@@ -0,0 +1,721 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_matrix.js.source.html
+
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Size = require('./size');
+var XMath = require('./math');
+
+/**
+ * Class for representing and manipulating matrices.
+ *
+ * The entry that lies in the i-th row and the j-th column of a matrix is
+ * typically referred to as the i,j entry of the matrix.
+ *
+ * The m-by-n matrix A would have its entries referred to as:
+ *   [ a0,0   a0,1   a0,2   ...   a0,j  ...  a0,n ]
+ *   [ a1,0   a1,1   a1,2   ...   a1,j  ...  a1,n ]
+ *   [ a2,0   a2,1   a2,2   ...   a2,j  ...  a2,n ]
+ *   [  .      .      .            .          .   ]
+ *   [  .      .      .            .          .   ]
+ *   [  .      .      .            .          .   ]
+ *   [ ai,0   ai,1   ai,2   ...   ai,j  ...  ai,n ]
+ *   [  .      .      .            .          .   ]
+ *   [  .      .      .            .          .   ]
+ *   [  .      .      .            .          .   ]
+ *   [ am,0   am,1   am,2   ...   am,j  ...  am,n ]
+ *
+ * @param {Matrix|Array.<Array.<number>>|Size|number} m
+ *     A matrix to copy, a 2-dimensional array to take as a template, a size
+ *     object specifying the dimensions, or a number specifying the number of
+ *     rows.
+ * @param {number=} opt_n Number of columns of the matrix (only applicable if
+ *     the first argument is also numeric).
+ * @constructor
+ */
+var Matrix = function(m, opt_n) {
+  if (m instanceof Matrix) {
+    this.array_ = m.toArray();
+  } else if (Array.isArray(m) && Matrix.isValidArray(m)) {
+    this.array_ = m.map(function(row) {
+      return row.slice();
+    });
+  } else if (m instanceof Size) {
+    this.array_ = Matrix.createZeroPaddedArray_(m.height, m.width);
+  } else if (XMath.isNumber(m) && XMath.isNumber(opt_n) && m > 0 &&
+      opt_n > 0) {
+    this.array_ = Matrix.createZeroPaddedArray_(m, opt_n);
+  } else {
+    throw Error('Invalid argument(s) for Matrix constructor');
+  }
+
+  /**
+   * The width and height of the matrix.
+   * @type {!Size}
+   * @private
+   */
+  this.size_ = new Size(this.array_[0].length, this.array_.length);
+};
+
+
+/**
+ * Creates a square identity matrix. i.e. for n = 3:
+ * <pre>
+ * [ 1 0 0 ]
+ * [ 0 1 0 ]
+ * [ 0 0 1 ]
+ * </pre>
+ * @param {number} n The size of the square identity matrix.
+ * @return {!Matrix} Identity matrix of width and height {@code n}.
+ */
+Matrix.createIdentityMatrix = function(n) {
+  var rows = [];
+  for (var i = 0; i < n; i++) {
+    rows[i] = [];
+    for (var j = 0; j < n; j++) {
+      rows[i][j] = i == j ? 1 : 0;
+    }
+  }
+  return new Matrix(rows);
+};
+
+
+/**
+ * Calls a function for each cell in a matrix.
+ * @param {Matrix} matrix The matrix to iterate over.
+ * @param {function(this:T, number, number, number)} fn The function to call
+ *     for every element. This function takes 3 arguments (the value, the row
+ *     and the column).
+ * @param {T=} opt_obj The object to be used as the value of 'this' within
+ *     {@code fn}.
+ * @template T
+ */
+Matrix.forEach = function(matrix, fn, opt_obj) {
+  for (var i = 0; i < matrix.getSize().height; i++) {
+    for (var j = 0; j < matrix.getSize().width; j++) {
+      fn.call(opt_obj, matrix.array_[i][j], i, j);
+    }
+  }
+};
+
+
+/**
+ * Tests whether an array is a valid matrix. A valid array is an array of
+ * arrays where all arrays are of the same length and all elements are
+ * numbers.
+ * @param {Array} arr An array to test.
+ * @return {boolean} Whether the array is a valid matrix.
+ */
+Matrix.isValidArray = function(arr) {
+  var len = 0;
+  var valid = false;
+  for (var i = 0; i < arr.length; i++) {
+    if (!Array.isArray(arr[i]) || len > 0 && arr[i].length != len) {
+      return false;
+    }
+    for (var j = 0; j < arr[i].length; j++) {
+      if (!XMath.isNumber(arr[i][j])) {
+        return false;
+      }
+    }
+    if (len == 0) {
+      len = arr[i].length;
+    }
+    valid = len != 0;
+  }
+  return valid;
+};
+
+
+/**
+ * Calls a function for every cell in a matrix and inserts the result into a
+ * new matrix of equal dimensions.
+ * @param {!Matrix} matrix The matrix to iterate over.
+ * @param {function(this:T, number, number, number): number} fn The function
+ *     to call for every element. This function takes 3 arguments (the value,
+ *     the row and the column) and should return a number, which will be
+ *     inserted into a new matrix.
+ * @param {T=} opt_obj The object to be used as the value of 'this' within
+ *     {@code fn}.
+ * @return {!Matrix} A new matrix with the results from {@code fn}.
+ * @template T
+ */
+Matrix.map = function(matrix, fn, opt_obj) {
+  var m = new Matrix(matrix.getSize());
+  Matrix.forEach(matrix, function(value, i, j) {
+    m.array_[i][j] = fn.call(opt_obj, value, i, j);
+  });
+  return m;
+};
+
+
+/**
+ * Returns a new matrix that is the sum of this and the provided matrix.
+ * @param {!Matrix} m The matrix to add to this one.
+ * @return {!Matrix} Resultant sum.
+ */
+Matrix.prototype.add = function(m) {
+  if (!Size.equals(this.size_, m.getSize())) {
+    throw Error('Matrix summation is only supported on arrays of equal size');
+  }
+  return Matrix.map(this, function(val, i, j) {
+    return val + m.array_[i][j];
+  });
+};
+
+
+/**
+ * Appends the given matrix to the right side of this matrix.
+ * @param {!Matrix} m The matrix to augment this matrix with.
+ * @return {!Matrix} A new matrix with additional columns on the right.
+ */
+Matrix.prototype.appendColumns = function(m) {
+  if (this.size_.height != m.getSize().height) {
+    throw Error('The given matrix has height ' + m.getSize().height +
+        ', but  needs to have height ' + this.size_.height + '.');
+  }
+  return new Matrix(this.array_.map(function(row, i) {
+    return row.concat(m.array_[i]);
+  }));
+};
+
+
+/**
+ * Appends the given matrix to the bottom of this matrix.
+ * @param {!Matrix} m The matrix to augment this matrix with.
+ * @return {!Matrix} A new matrix with added columns on the bottom.
+ */
+Matrix.prototype.appendRows = function(m) {
+  if (this.size_.width != m.getSize().width) {
+    throw Error('The given matrix has width ' + m.getSize().width +
+        ', but  needs to have width ' + this.size_.width + '.');
+  }
+  return new Matrix(this.array_.concat(m.array_));
+};
+
+
+/**
+ * Returns whether the given matrix equals this matrix.
+ * @param {Matrix} m The matrix to compare to this one.
+ * @param {number=} opt_tolerance The tolerance when comparing array entries,
+ *     as in {@code XMath.nearlyEquals}. Entries must be exactly equal when
+ *     not given.
+ * @return {boolean} Whether the given matrix equals this matrix.
+ */
+Matrix.prototype.equals = function(m, opt_tolerance) {
+  if (this == m) {
+    return true;
+  }
+  if (!m || !Size.equals(this.size_, m.getSize())) {
+    return false;
+  }
+  var equal = true;
+  Matrix.forEach(this, function(value, i, j) {
+    var other = m.array_[i][j];
+    if (opt_tolerance === undefined ?
+        value != other : !XMath.nearlyEquals(value, other, opt_tolerance)) {
+      equal = false;
+    }
+  });
+  return equal;
+};
+
+
+/**
+ * Returns the determinant of this matrix, computed by Gaussian elimination.
+ * @return {number} The determinant of this matrix.
+ */
+Matrix.prototype.getDeterminant = function() {
+  if (!this.isSquare()) {
+    throw Error('A determinant can only be taken on a square matrix');
+  }
+  var rows = this.toArray();
+  var n = rows.length;
+  var determinant = 1;
+  for (var col = 0; col < n; col++) {
+    var pivot = Matrix.findPivot_(rows, col, col);
+    if (!rows[pivot][col]) {
+      return 0;
+    }
+    if (pivot != col) {
+      Matrix.swapRows_(rows, pivot, col);
+      determinant = -determinant;
+    }
+    determinant *= rows[col][col];
+    for (var i = col + 1; i < n; i++) {
+      Matrix.addRowMultiple_(rows, i, col, -rows[i][col] / rows[col][col]);
+    }
+  }
+  return determinant;
+};
+
+
+/**
+ * Returns the inverse of this matrix if it exists or null if the matrix is
+ * not invertible.
+ * @param {number=} opt_tolerance Pivots within this tolerance from zero make
+ *     the matrix singular, as in {@code XMath.nearlyEquals}.
+ * @return {Matrix} A new matrix which is the inverse of this matrix.
+ */
+Matrix.prototype.getInverse = function(opt_tolerance) {
+  if (!this.isSquare()) {
+    throw Error('An inverse can only be taken on a square matrix.');
+  }
+  var n = this.size_.height;
+  return this.solve(Matrix.createIdentityMatrix(n), opt_tolerance);
+};
+
+
+/**
+ * Transforms this matrix into reduced row echelon form.
+ * @param {number=} opt_tolerance Values within this tolerance from zero are
+ *     treated as zero, as in {@code XMath.nearlyEquals}.
+ * @return {!Matrix} A new matrix reduced row echelon form.
+ */
+Matrix.prototype.getReducedRowEchelonForm = function(opt_tolerance) {
+  var rows = this.toArray();
+  var height = this.size_.height;
+  var width = this.size_.width;
+  var row = 0;
+  for (var col = 0; col < width && row < height; col++) {
+    var pivot = Matrix.findPivot_(rows, row, col);
+    if (XMath.nearlyEquals(rows[pivot][col], 0, opt_tolerance)) {
+      continue;
+    }
+    Matrix.swapRows_(rows, pivot, row);
+    var divisor = rows[row][col];
+    for (var j = col; j < width; j++) {
+      rows[row][j] /= divisor;
+    }
+    for (var i = 0; i < height; i++) {
+      if (i != row) {
+        Matrix.addRowMultiple_(rows, i, row, -rows[i][col]);
+      }
+    }
+    row++;
+  }
+  return new Matrix(rows);
+};
+
+
+/**
+ * @return {!Size} The dimensions of the matrix.
+ */
+Matrix.prototype.getSize = function() {
+  return this.size_;
+};
+
+
+/**
+ * Returns a new matrix made of the given rows and columns of this matrix.
+ * @param {number} i1 The row index of the upper left corner.
+ * @param {number} j1 The column index of the upper left corner.
+ * @param {number=} opt_i2 The row index of the lower right corner,
+ *     defaults to the last row.
+ * @param {number=} opt_j2 The column index of the lower right corner,
+ *     defaults to the last column.
+ * @return {!Matrix} The submatrix contained within the given bounds.
+ */
+Matrix.prototype.getSubmatrix = function(i1, j1, opt_i2, opt_j2) {
+  var i2 = opt_i2 === undefined ? this.size_.height - 1 : opt_i2;
+  var j2 = opt_j2 === undefined ? this.size_.width - 1 : opt_j2;
+  if (!this.isInBounds_(i1, j1) || !this.isInBounds_(i2, j2) ||
+      i1 > i2 || j1 > j2) {
+    throw Error('Invalid submatrix bounds');
+  }
+  return new Matrix(this.array_.slice(i1, i2 + 1).map(function(row) {
+    return row.slice(j1, j2 + 1);
+  }));
+};
+
+
+/**
+ * Returns a new matrix equal to this one with the given row and column
+ * removed, also known as a minor of the matrix.
+ * @param {number} i The row index of the row to remove.
+ * @param {number} j The column index of the column to remove.
+ * @return {!Matrix} The matrix without row {@code i} and column {@code j}.
+ */
+Matrix.prototype.getSubmatrixByDeletion = function(i, j) {
+  if (!this.isInBounds_(i, j) ||
+      this.size_.width < 2 || this.size_.height < 2) {
+    throw Error('Invalid submatrix bounds');
+  }
+  return new Matrix(this.array_.filter(function(row, k) {
+    return k != i;
+  }).map(function(row) {
+    return row.filter(function(value, k) {
+      return k != j;
+    });
+  }));
+};
+
+
+/**
+ * @return {!Matrix} A new matrix which is the transpose of this matrix.
+ */
+Matrix.prototype.getTranspose = function() {
+  var m = new Matrix(this.size_.width, this.size_.height);
+  Matrix.forEach(this, function(value, i, j) {
+    m.array_[j][i] = value;
+  });
+  return m;
+};
+
+
+/**
+ * Retrieves the value of a particular coordinate in the matrix or null if the
+ * requested coordinates are out of range.
+ * @param {number} i The i index of the coordinate.
+ * @param {number} j The j index of the coordinate.
+ * @return {?number} The value at the specified coordinate.
+ */
+Matrix.prototype.getValueAt = function(i, j) {
+  if (!this.isInBounds_(i, j)) {
+    return null;
+  }
+  return this.array_[i][j];
+};
+
+
+/**
+ * @return {boolean} Whether the horizontal and vertical dimensions of this
+ *     matrix are the same.
+ */
+Matrix.prototype.isSquare = function() {
+  return this.size_.width == this.size_.height;
+};
+
+
+/**
+ * Sets the value at a particular coordinate (if the coordinate is within the
+ * bounds of the matrix).
+ * @param {number} i The i index of the coordinate.
+ * @param {number} j The j index of the coordinate.
+ * @param {number} value The new value for the coordinate.
+ */
+Matrix.prototype.setValueAt = function(i, j, value) {
+  if (!this.isInBounds_(i, j)) {
+    throw Error('Index out of bounds when setting matrix value, (' + i + ',' +
+        j + ') in size (' + this.size_.height + ',' + this.size_.width + ')');
+  }
+  this.array_[i][j] = value;
+};
+
+
+/**
+ * Performs matrix or scalar multiplication on a matrix and returns the
+ * resultant matrix.
+ *
+ * A Coordinate is multiplied as the column vector [x, y] when this matrix has
+ * two columns, or as the homogeneous column vector [x, y, 1] when it has
+ * three. The first two entries of the result are returned as a Coordinate,
+ * divided by the third entry if this matrix has three rows.
+ *
+ * @param {Matrix|Coordinate.PointLike|number} m Matrix, Coordinate or scalar
+ *     to multiply by.
+ * @return {Matrix|Coordinate} Resultant product.
+ */
+Matrix.prototype.multiply = function(m) {
+  if (Coordinate.isPointLike(m)) {
+    return this.multiplyCoordinate_(Coordinate.coerce(m));
+  }
+  if (m instanceof Matrix) {
+    if (this.size_.width != m.getSize().height) {
+      throw Error('Invalid matrices for multiplication. Second matrix ' +
+          'should have the same number of rows as the first has columns.');
+    }
+    return Matrix.multiply_(this, m);
+  }
+  if (XMath.isNumber(m)) {
+    return Matrix.map(this, function(val) {
+      return val * m;
+    });
+  }
+  throw Error('A matrix can only be multiplied by' +
+      ' a number, a Coordinate or another matrix.');
+};
+
+
+/**
+ * Returns a new matrix that is the difference of this and the provided
+ * matrix.
+ * @param {Matrix} m The matrix to subtract from this one.
+ * @return {!Matrix} Resultant difference.
+ */
+Matrix.prototype.subtract = function(m) {
+  if (!Size.equals(this.size_, m.getSize())) {
+    throw Error(
+        'Matrix subtraction is only supported on arrays of equal size.');
+  }
+  return Matrix.map(this, function(val, i, j) {
+    return val - m.array_[i][j];
+  });
+};
+
+
+/**
+ * Solves the linear system of equations this * x = b using Gaussian
+ * elimination with partial pivoting. This matrix must be square.
+ * @param {Matrix|Array.<number>} b The right hand side, either a matrix with
+ *     the same number of rows as this one or an array of numbers which is
+ *     treated as a column vector.
+ * @param {number=} opt_tolerance Pivots within this tolerance from zero make
+ *     the matrix singular, as in {@code XMath.nearlyEquals}.
+ * @return {Matrix|Array.<number>} The solution x, of the same kind as
+ *     {@code b}, or null if this matrix is singular.
+ */
+Matrix.prototype.solve = function(b, opt_tolerance) {
+  if (!this.isSquare()) {
+    throw Error('Only systems with a square matrix can be solved.');
+  }
+  var isVector = !(b instanceof Matrix);
+  var rhs = isVector ? new Matrix(b.map(function(value) {
+    return [value];
+  })) : b;
+  if (rhs.getSize().height != this.size_.height) {
+    throw Error('The right hand side has ' + rhs.getSize().height +
+        ' rows, but needs to have ' + this.size_.height + '.');
+  }
+
+  var n = this.size_.height;
+  var rows = this.appendColumns(rhs).toArray();
+  var width = rows[0].length;
+  for (var col = 0; col < n; col++) {
+    var pivot = Matrix.findPivot_(rows, col, col);
+    if (XMath.nearlyEquals(rows[pivot][col], 0, opt_tolerance)) {
+      return null;
+    }
+    Matrix.swapRows_(rows, pivot, col);
+    var divisor = rows[col][col];
+    for (var j = col; j < width; j++) {
+      rows[col][j] /= divisor;
+    }
+    for (var i = 0; i < n; i++) {
+      if (i != col) {
+        Matrix.addRowMultiple_(rows, i, col, -rows[i][col]);
+      }
+    }
+  }
+
+  var x = new Matrix(rows).getSubmatrix(0, n);
+  return isVector ? x.array_.map(function(row) {
+    return row[0];
+  }) : x;
+};
+
+
+/**
+ * @return {!Array.<!Array.<number>>} A copy of the 2d array representing
+ *     this matrix.
+ */
+Matrix.prototype.toArray = function() {
+  return this.array_.map(function(row) {
+    return row.slice();
+  });
+};
+
+
+/**
+ * @return {!Array.<!Array.<number>>} The rows of the matrix, for
+ *     {@code JSON.stringify}.
+ */
+Matrix.prototype.toJSON = function() {
+  return this.toArray();
+};
+
+
+/**
+ * Creates a matrix from the output of {@code toJSON}.
+ * @param {*} json A non-empty array of rows of the same non-zero length, each
+ *     an array of numbers.
+ * @return {!Matrix} A new Matrix.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Matrix.fromJSON = function(json) {
+  if (!Array.isArray(json) || !json.length) {
+    throw new TypeError('Expected an array of rows, got ' +
+        Json.describe(json));
+  }
+  var width = Array.isArray(json[0]) ? json[0].length : 0;
+  return new Matrix(Json.mapItems(json, function(row) {
+    if (!Array.isArray(row) || !row.length || row.length != width ||
+        !row.every(XMath.isNumber)) {
+      throw new TypeError('Expected a row of numbers as long as the first, ' +
+          'got ' + Json.describe(row));
+    }
+    return row;
+  }));
+};
+
+
+/**
+ * Returns a nice string representing the matrix.
+ * @return {string} In the form [ 1 2 ]\n[ 3 4 ].
+ * @override
+ */
+Matrix.prototype.toString = function() {
+  // Calculate correct padding for optimum display of matrix
+  var maxLen = 0;
+  Matrix.forEach(this, function(val) {
+    var len = String(val).length;
+    if (len > maxLen) {
+      maxLen = len;
+    }
+  });
+
+  // Build the string
+  return this.array_.map(function(row) {
+    return '[ ' + row.map(function(val) {
+      var str = String(val);
+      return new Array(maxLen - str.length + 1).join(' ') + str;
+    }).join(' ') + ' ]';
+  }).join('\n');
+};
+
+
+/**
+ * Creates a matrix from the output of {@code toString}.
+ * @param {string} str A string in the form [ 1 2 ]\n[ 3 4 ].
+ * @return {!Matrix} A new Matrix.
+ */
+Matrix.parse = function(str) {
+  var array = str.trim().split('\n').map(function(line) {
+    var match = /^\s*\[(.*)\]\s*$/.exec(line);
+    return match ? match[1].trim().split(/\s+/).map(XMath.parseNumber) : [];
+  });
+  if (!Matrix.isValidArray(array) || array.some(function(row) {
+    return !row.length || row.some(isNaN);
+  })) {
+    throw Error('Invalid matrix string: ' + str);
+  }
+  return new Matrix(array);
+};
+
+
+/**
+ * Multiplies this matrix by a coordinate treated as a column vector.
+ * @param {!Coordinate} coordinate The coordinate to multiply by.
+ * @return {!Coordinate} The resulting coordinate.
+ * @private
+ */
+Matrix.prototype.multiplyCoordinate_ = function(coordinate) {
+  var width = this.size_.width;
+  var height = this.size_.height;
+  if (width != 2 && width != 3 || height != 2 && height != 3) {
+    throw Error('Only 2x2, 2x3, 3x2 and 3x3 matrices can be multiplied by' +
+        ' a Coordinate.');
+  }
+  var vector = width == 2 ? [[coordinate.x], [coordinate.y]] :
+      [[coordinate.x], [coordinate.y], [1]];
+  var result = Matrix.multiply_(this, new Matrix(vector)).array_;
+  var w = height == 3 ? result[2][0] : 1;
+  return new Coordinate(result[0][0] / w, result[1][0] / w);
+};
+
+
+/**
+ * Returns whether the given coordinates are contained within the bounds of
+ * the matrix.
+ * @param {number} i The i index of the coordinate.
+ * @param {number} j The j index of the coordinate.
+ * @return {boolean} The value at the specified coordinate.
+ * @private
+ */
+Matrix.prototype.isInBounds_ = function(i, j) {
+  return i >= 0 && i < this.size_.height &&
+         j >= 0 && j < this.size_.width;
+};
+
+
+/**
+ * Multiplies two matrices of compatible sizes.
+ * @param {!Matrix} a The first matrix.
+ * @param {!Matrix} b The second matrix.
+ * @return {!Matrix} The product.
+ * @private
+ */
+Matrix.multiply_ = function(a, b) {
+  var resultMatrix = new Matrix(a.size_.height, b.size_.width);
+  Matrix.forEach(resultMatrix, function(value, x, y) {
+    var newVal = 0;
+    for (var i = 0; i < a.size_.width; i++) {
+      newVal += a.array_[x][i] * b.array_[i][y];
+    }
+    resultMatrix.array_[x][y] = newVal;
+  });
+  return resultMatrix;
+};
+
+
+/**
+ * Creates a new zero padded matix.
+ * @param {number} m Height of matrix.
+ * @param {number} n Width of matrix.
+ * @return {!Array.<!Array.<number>>} The new zero padded matrix.
+ * @private
+ */
+Matrix.createZeroPaddedArray_ = function(m, n) {
+  var rows = [];
+  for (var i = 0; i < m; i++) {
+    rows[i] = [];
+    for (var j = 0; j < n; j++) {
+      rows[i][j] = 0;
+    }
+  }
+  return rows;
+};
+
+
+/**
+ * Finds the row, at or below {@code start}, with the largest absolute value
+ * in the given column.
+ * @param {!Array.<!Array.<number>>} rows The rows to search.
+ * @param {number} start The first row to consider.
+ * @param {number} col The column to compare.
+ * @return {number} Index of the pivot row.
+ * @private
+ */
+Matrix.findPivot_ = function(rows, start, col) {
+  var pivot = start;
+  for (var i = start + 1; i < rows.length; i++) {
+    if (Math.abs(rows[i][col]) > Math.abs(rows[pivot][col])) {
+      pivot = i;
+    }
+  }
+  return pivot;
+};
+
+
+/**
+ * Swaps two rows in place.
+ * @param {!Array.<!Array.<number>>} rows The rows.
+ * @param {number} i1 The index of the first row.
+ * @param {number} i2 The index of the second row.
+ * @private
+ */
+Matrix.swapRows_ = function(rows, i1, i2) {
+  var tmp = rows[i1];
+  rows[i1] = rows[i2];
+  rows[i2] = tmp;
+};
+
+
+/**
+ * Adds a multiple of one row to another in place.
+ * @param {!Array.<!Array.<number>>} rows The rows.
+ * @param {number} target The index of the row to add to.
+ * @param {number} source The index of the row to add.
+ * @param {number} factor The multiple of the source row to add.
+ * @private
+ */
+Matrix.addRowMultiple_ = function(rows, target, source, factor) {
+  if (!factor) {
+    return;
+  }
+  for (var j = 0; j < rows[target].length; j++) {
+    rows[target][j] += factor * rows[source][j];
+  }
+};
+
+module.exports = Matrix;
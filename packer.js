@@ -0,0 +1,641 @@
+// Based on "A Thousand Ways to Pack the Bin" by Jukka Jylänki, see
+// http://clb.confined.space/files/RectangleBinPack.pdf
+
+var Rect = require('./rect');
+var Size = require('./size');
+
+/**
+ * Packing of rectangles of given sizes into a container without overlaps, as
+ * for texture atlases or dashboard tiles.
+ */
+var Packer = {};
+
+
+/**
+ * The packing strategies, from the tightest and slowest to the loosest and
+ * fastest.
+ * @enum {string}
+ */
+Packer.Algorithm = {
+  // Tracks every maximal free rectangle, and fills the one leaving the
+  // shortest leftover side.
+  MAX_RECTS: 'max-rects',
+  // Tracks the top edge of the packed rectangles, and places each rectangle
+  // where its bottom stays the highest.
+  SKYLINE: 'skyline',
+  // Places rectangles side by side in rows as tall as their first rectangle.
+  SHELF: 'shelf'
+};
+
+
+/**
+ * Options of the packing. The algorithm defaults to MAX_RECTS. Rotation
+ * lets rectangles be turned by 90 degrees when it helps. Padding is the space
+ * kept between rectangles, but not along the edges of the container, and
+ * defaults to 0. The maximum size and power of two options are only used by
+ * {@code Packer.packToFit}.
+ * @typedef {{algorithm: (Packer.Algorithm|undefined),
+ *     allowRotation: (boolean|undefined), padding: (number|undefined),
+ *     maxSize: (Size.SizeLike|undefined), powerOfTwo: (boolean|undefined)}}
+ */
+Packer.Options;
+
+
+/**
+ * Result of a packing. The rectangles and rotation flags are in the order of
+ * the sizes packed, and the rectangles of the sizes which did not fit are
+ * null. Rotated rectangles have the width and height of their size swapped.
+ * @typedef {{rects: !Array.<Rect>, rotated: !Array.<boolean>,
+ *     unplaced: !Array.<number>, size: !Size}}
+ */
+Packer.Result;
+
+
+/**
+ * Packs rectangles into a container of a given size. Sizes which do not fit
+ * are left out, and larger sizes are packed first.
+ * @param {!Array.<Size.SizeLike>} sizes The sizes of the rectangles.
+ * @param {Size.SizeLike} container The size of the container.
+ * @param {Packer.Options=} opt_options Options of the packing.
+ * @return {Packer.Result} The rectangles placed, with the unplaced indices of
+ *     {@code sizes} and the size of the container.
+ */
+Packer.pack = function(sizes, container, opt_options) {
+  var options = opt_options || {};
+  var padding = Packer.getPadding_(options);
+  container = Size.coerce(container);
+  var placements = Packer.place_(Packer.createItems_(sizes, padding),
+                                 container.width + padding,
+                                 container.height + padding, options);
+  return Packer.createResult_(sizes.length, placements, padding,
+                              container.clone());
+};
+
+
+/**
+ * Packs rectangles into the smallest container found to fit all of them. The
+ * container is grown up to {@code maxSize} if given, and to powers of two in
+ * both dimensions if {@code powerOfTwo} is set. If all rectangles cannot fit
+ * into the maximum size, they are packed into it as by {@code Packer.pack},
+ * rounded down to powers of two if {@code powerOfTwo} is set. The size of
+ * the container is then that of the rectangles placed along an unbounded
+ * dimension.
+ * @param {!Array.<Size.SizeLike>} sizes The sizes of the rectangles.
+ * @param {Packer.Options=} opt_options Options of the packing.
+ * @return {Packer.Result} The rectangles placed, with the unplaced indices of
+ *     {@code sizes} and the size of the container.
+ */
+Packer.packToFit = function(sizes, opt_options) {
+  var options = opt_options || {};
+  var padding = Packer.getPadding_(options);
+  var items = Packer.createItems_(sizes, padding);
+  var maxSize = options.maxSize ? Size.coerce(options.maxSize) :
+      new Size(Infinity, Infinity);
+
+  // The container is at least as wide as the narrowest orientation of each
+  // rectangle, and all rectangles fit side by side in a single row.
+  var minWidth = 0;
+  var maxWidth = 0;
+  var area = 0;
+  items.forEach(function(item) {
+    area += item.width * item.height;
+    var shortest = Math.min(item.width, item.height);
+    minWidth = Math.max(minWidth,
+                        (options.allowRotation ? shortest : item.width));
+    maxWidth += options.allowRotation ? Math.max(item.width, item.height) :
+        item.width;
+  });
+  minWidth = Math.max(0, minWidth - padding);
+  maxWidth = Math.min(maxSize.width, Math.max(minWidth, maxWidth - padding));
+
+  var best = null;
+  Packer.getWidths_(minWidth, maxWidth, Math.sqrt(area),
+                    !!options.powerOfTwo).forEach(
+      function(width) {
+        if (width > maxSize.width) {
+          return;
+        }
+        var placements = Packer.place_(items, width + padding,
+                                       maxSize.height + padding, options);
+        if (placements.length < items.length) {
+          return;
+        }
+        var size = Packer.getBounds_(placements, padding);
+        if (options.powerOfTwo) {
+          size = new Size(width, Packer.nextPowerOfTwo_(size.height));
+        }
+        if (size.height > maxSize.height) {
+          return;
+        }
+        if (!best || Packer.isSmaller_(size, best.size)) {
+          best = {placements: placements, size: size};
+        }
+      });
+
+  if (!best) {
+    if (options.powerOfTwo) {
+      maxSize = new Size(Packer.previousPowerOfTwo_(maxSize.width),
+                         Packer.previousPowerOfTwo_(maxSize.height));
+    }
+    var placements = Packer.place_(items, maxSize.width + padding,
+                                   maxSize.height + padding, options);
+    // An unbounded dimension is reported as the extent of the rectangles.
+    var bounds = Packer.getBounds_(placements, padding);
+    if (options.powerOfTwo) {
+      bounds = new Size(Packer.nextPowerOfTwo_(bounds.width),
+                        Packer.nextPowerOfTwo_(bounds.height));
+    }
+    best = {
+      placements: placements,
+      size: new Size(isFinite(maxSize.width) ? maxSize.width : bounds.width,
+                     isFinite(maxSize.height) ? maxSize.height : bounds.height)
+    };
+  }
+  return Packer.createResult_(sizes.length, best.placements, padding,
+                              best.size);
+};
+
+
+/**
+ * @param {Packer.Options} options Options of the packing.
+ * @return {number} The padding between rectangles.
+ * @private
+ */
+Packer.getPadding_ = function(options) {
+  var padding = options.padding || 0;
+  if (padding < 0) {
+    throw Error('Padding must not be negative, got ' + padding);
+  }
+  return padding;
+};
+
+
+/**
+ * Creates the rectangles to pack, grown by the padding so that placing them
+ * next to each other keeps the padding between them. The container is grown
+ * by the padding too, so that no padding is kept along its right and bottom
+ * edges.
+ * @param {!Array.<Size.SizeLike>} sizes The sizes of the rectangles.
+ * @param {number} padding The padding between rectangles.
+ * @return {!Array.<{index: number, width: number, height: number}>} The
+ *     rectangles to pack.
+ * @private
+ */
+Packer.createItems_ = function(sizes, padding) {
+  return sizes.map(function(size, index) {
+    size = Size.coerce(size);
+    if (size.width < 0 || size.height < 0) {
+      throw Error('Cannot pack a negative size: ' + size);
+    }
+    return {
+      index: index,
+      width: size.width + padding,
+      height: size.height + padding
+    };
+  });
+};
+
+
+/**
+ * Places rectangles with the algorithm of the options.
+ * @param {!Array.<{index: number, width: number, height: number}>} items The
+ *     rectangles to pack.
+ * @param {number} width The width of the container.
+ * @param {number} height The height of the container.
+ * @param {Packer.Options} options Options of the packing.
+ * @return {!Array.<{index: number, rect: !Rect, rotated: boolean}>} The
+ *     rectangles placed, including their padding.
+ * @private
+ */
+Packer.place_ = function(items, width, height, options) {
+  var algorithm = options.algorithm || Packer.Algorithm.MAX_RECTS;
+  var allowRotation = !!options.allowRotation;
+  var place;
+  if (algorithm == Packer.Algorithm.MAX_RECTS) {
+    place = Packer.placeMaxRects_;
+  } else if (algorithm == Packer.Algorithm.SKYLINE) {
+    place = Packer.placeSkyline_;
+  } else if (algorithm == Packer.Algorithm.SHELF) {
+    place = Packer.placeShelf_;
+  } else {
+    throw Error('Unknown packing algorithm: ' + algorithm);
+  }
+
+  // Shelves are filled best by rectangles of decreasing height, the other
+  // algorithms by rectangles of decreasing longest side.
+  var shelf = algorithm == Packer.Algorithm.SHELF;
+  var key = function(item) {
+    if (shelf) {
+      return allowRotation ? Math.min(item.width, item.height) : item.height;
+    }
+    return Math.max(item.width, item.height);
+  };
+  items = items.slice().sort(function(a, b) {
+    return key(b) - key(a) || b.width * b.height - a.width * a.height ||
+        a.index - b.index;
+  });
+
+  var placements = [];
+  var fits = place(width, height);
+  items.forEach(function(item) {
+    var orientations = [{width: item.width, height: item.height}];
+    if (allowRotation && item.width != item.height) {
+      orientations.push({width: item.height, height: item.width});
+    }
+    var placement = fits(orientations);
+    if (placement) {
+      placements.push({
+        index: item.index,
+        rect: placement.rect,
+        rotated: placement.orientation == 1
+      });
+    }
+  });
+  return placements;
+};
+
+
+/**
+ * Creates a MaxRects packer.
+ * @param {number} width The width of the container.
+ * @param {number} height The height of the container.
+ * @return {function(!Array.<{width: number, height: number}>):
+ *     ?{rect: !Rect, orientation: number}} Places a rectangle in the first
+ *     of the orientations given which fits best, or returns null.
+ * @private
+ */
+Packer.placeMaxRects_ = function(width, height) {
+  var free = [new Rect(0, 0, width, height)];
+  return function(orientations) {
+    var best = null;
+    orientations.forEach(function(size, orientation) {
+      free.forEach(function(rect) {
+        if (size.width > rect.width || size.height > rect.height) {
+          return;
+        }
+        var leftoverX = rect.width - size.width;
+        var leftoverY = rect.height - size.height;
+        var shortSide = Math.min(leftoverX, leftoverY);
+        var longSide = Math.max(leftoverX, leftoverY);
+        if (!best || shortSide < best.shortSide ||
+            (shortSide == best.shortSide && longSide < best.longSide)) {
+          best = {
+            rect: new Rect(rect.left, rect.top, size.width, size.height),
+            orientation: orientation,
+            shortSide: shortSide,
+            longSide: longSide
+          };
+        }
+      });
+    });
+    if (best) {
+      free = Packer.splitFreeRects_(free, best.rect);
+    }
+    return best;
+  };
+};
+
+
+/**
+ * Removes a placed rectangle from the free rectangles of a MaxRects packer.
+ * @param {!Array.<!Rect>} free The maximal free rectangles.
+ * @param {!Rect} used The rectangle placed.
+ * @return {!Array.<!Rect>} The maximal free rectangles left.
+ * @private
+ */
+Packer.splitFreeRects_ = function(free, used) {
+  var usedRight = used.left + used.width;
+  var usedBottom = used.top + used.height;
+  var result = [];
+  free.forEach(function(rect) {
+    var right = rect.left + rect.width;
+    var bottom = rect.top + rect.height;
+    if (used.left >= right || usedRight <= rect.left ||
+        used.top >= bottom || usedBottom <= rect.top) {
+      result.push(rect);
+      return;
+    }
+    if (used.left > rect.left) {
+      result.push(new Rect(rect.left, rect.top, used.left - rect.left,
+                           rect.height));
+    }
+    if (usedRight < right) {
+      result.push(new Rect(usedRight, rect.top, right - usedRight,
+                           rect.height));
+    }
+    if (used.top > rect.top) {
+      result.push(new Rect(rect.left, rect.top, rect.width,
+                           used.top - rect.top));
+    }
+    if (usedBottom < bottom) {
+      result.push(new Rect(rect.left, usedBottom, rect.width,
+                           bottom - usedBottom));
+    }
+  });
+
+  // Free rectangles inside others are not maximal.
+  return result.filter(function(rect, i) {
+    return !result.some(function(other, j) {
+      return i != j && other.contains(rect) && (j < i || !rect.contains(other));
+    });
+  });
+};
+
+
+/**
+ * Creates a skyline packer, using the bottom-left rule.
+ * @param {number} width The width of the container.
+ * @param {number} height The height of the container.
+ * @return {function(!Array.<{width: number, height: number}>):
+ *     ?{rect: !Rect, orientation: number}} Places a rectangle in the first
+ *     of the orientations given which fits best, or returns null.
+ * @private
+ */
+Packer.placeSkyline_ = function(width, height) {
+  // Segments of the top edge of the packed rectangles, from left to right.
+  var skyline = [{left: 0, top: 0, width: width}];
+  return function(orientations) {
+    var best = null;
+    orientations.forEach(function(size, orientation) {
+      skyline.forEach(function(segment, i) {
+        if (segment.left + size.width > width) {
+          return;
+        }
+        // The rectangle rests on the highest segment below it.
+        var top = 0;
+        var right = segment.left + size.width;
+        for (var j = i; j < skyline.length && skyline[j].left < right; j++) {
+          top = Math.max(top, skyline[j].top);
+        }
+        var bottom = top + size.height;
+        if (bottom > height) {
+          return;
+        }
+        if (!best || bottom < best.bottom ||
+            (bottom == best.bottom && segment.width < best.segmentWidth)) {
+          best = {
+            rect: new Rect(segment.left, top, size.width, size.height),
+            orientation: orientation,
+            index: i,
+            bottom: bottom,
+            segmentWidth: segment.width
+          };
+        }
+      });
+    });
+    if (best && best.rect.width) {
+      Packer.raiseSkyline_(skyline, best.index, best.rect);
+    }
+    return best;
+  };
+};
+
+
+/**
+ * Raises the skyline over a placed rectangle.
+ * @param {!Array.<{left: number, top: number, width: number}>} skyline The
+ *     segments of the skyline.
+ * @param {number} index The index of the segment the rectangle starts at.
+ * @param {!Rect} rect The rectangle placed.
+ * @private
+ */
+Packer.raiseSkyline_ = function(skyline, index, rect) {
+  var right = rect.left + rect.width;
+  skyline.splice(index, 0, {
+    left: rect.left,
+    top: rect.top + rect.height,
+    width: rect.width
+  });
+  // Cut the segments now under the rectangle.
+  var i = index + 1;
+  while (i < skyline.length && skyline[i].left < right) {
+    var segment = skyline[i];
+    var overlap = right - segment.left;
+    if (overlap < segment.width) {
+      segment.left += overlap;
+      segment.width -= overlap;
+      break;
+    }
+    skyline.splice(i, 1);
+  }
+  // Merge neighbouring segments at the same height.
+  for (i = skyline.length - 1; i > 0; i--) {
+    if (skyline[i].top == skyline[i - 1].top) {
+      skyline[i - 1].width += skyline[i].width;
+      skyline.splice(i, 1);
+    }
+  }
+};
+
+
+/**
+ * Creates a shelf packer, placing each rectangle on the first shelf it fits.
+ * @param {number} width The width of the container.
+ * @param {number} height The height of the container.
+ * @return {function(!Array.<{width: number, height: number}>):
+ *     ?{rect: !Rect, orientation: number}} Places a rectangle in the first
+ *     of the orientations given which fits best, or returns null.
+ * @private
+ */
+Packer.placeShelf_ = function(width, height) {
+  var shelves = [];
+  var bottom = 0;
+  return function(orientations) {
+    // Fill the first shelf with room, wasting the least of its height.
+    for (var i = 0; i < shelves.length; i++) {
+      var shelf = shelves[i];
+      var best = null;
+      orientations.forEach(function(size, orientation) {
+        if (size.height <= shelf.height &&
+            shelf.right + size.width <= width &&
+            (!best || size.height > best.rect.height)) {
+          best = {
+            rect: new Rect(shelf.right, shelf.top, size.width, size.height),
+            orientation: orientation
+          };
+        }
+      });
+      if (best) {
+        shelf.right += best.rect.width;
+        return best;
+      }
+    }
+
+    // Open a new shelf, as low as possible.
+    best = null;
+    orientations.forEach(function(size, orientation) {
+      if (size.width <= width && bottom + size.height <= height &&
+          (!best || size.height < best.rect.height)) {
+        best = {
+          rect: new Rect(0, bottom, size.width, size.height),
+          orientation: orientation
+        };
+      }
+    });
+    if (best) {
+      shelves.push({top: bottom, height: best.rect.height,
+                    right: best.rect.width});
+      bottom += best.rect.height;
+    }
+    return best;
+  };
+};
+
+
+/**
+ * @param {!Array.<{index: number, rect: !Rect, rotated: boolean}>}
+ *     placements The rectangles placed, including their padding.
+ * @param {number} padding The padding between rectangles.
+ * @return {!Size} The size of the smallest container holding the rectangles.
+ * @private
+ */
+Packer.getBounds_ = function(placements, padding) {
+  var size = new Size(0, 0);
+  placements.forEach(function(placement) {
+    var rect = placement.rect;
+    size.width = Math.max(size.width, rect.left + rect.width - padding);
+    size.height = Math.max(size.height, rect.top + rect.height - padding);
+  });
+  return size;
+};
+
+
+/**
+ * The number of container widths tried per doubling of the width when
+ * growing the container to any size.
+ * @type {number}
+ * @private
+ */
+Packer.WIDTH_STEPS_ = 8;
+
+
+/**
+ * How many times wider or narrower than a square container the widths tried
+ * when growing the container to any size may be.
+ * @type {number}
+ * @private
+ */
+Packer.WIDTH_RANGE_ = 4;
+
+
+/**
+ * Relative difference of area below which containers count as equally
+ * small, so that the more square one is preferred.
+ * @type {number}
+ * @private
+ */
+Packer.AREA_TOLERANCE_ = 0.05;
+
+
+/**
+ * Returns the container widths to try when growing the container. Widths
+ * other than powers of two are spaced geometrically around the width of a
+ * square holding the total area of the rectangles, since containers much
+ * wider than tall, or the reverse, are rarely usable.
+ * @param {number} min The smallest width which can fit all rectangles.
+ * @param {number} max The largest width to try.
+ * @param {number} square The width of a square of the total area of the
+ *     rectangles.
+ * @param {boolean} powerOfTwo Whether to only try powers of two.
+ * @return {!Array.<number>} The widths, in increasing order.
+ * @private
+ */
+Packer.getWidths_ = function(min, max, square, powerOfTwo) {
+  var widths = [];
+  if (powerOfTwo) {
+    // The width of a single row may not be a power of two, so also try the
+    // next one.
+    var limit = Packer.nextPowerOfTwo_(max);
+    for (var width = Packer.nextPowerOfTwo_(min); width <= limit;
+         width *= 2) {
+      widths.push(width);
+    }
+    return widths;
+  }
+  var steps = Packer.WIDTH_STEPS_ * Math.log(Packer.WIDTH_RANGE_) / Math.LN2;
+  for (var i = -steps; i <= steps; i++) {
+    width = Math.min(max, Math.max(min, Math.ceil(
+        square * Math.pow(2, i / Packer.WIDTH_STEPS_))));
+    if (widths[widths.length - 1] != width) {
+      widths.push(width);
+    }
+  }
+  return widths;
+};
+
+
+/**
+ * Compares containers by area, preferring the more square one when their
+ * areas are close.
+ * @param {!Size} a A container size.
+ * @param {!Size} b Another container size.
+ * @return {boolean} Whether {@code a} is the better container.
+ * @private
+ */
+Packer.isSmaller_ = function(a, b) {
+  var ratio = a.area() / b.area();
+  if (Math.abs(ratio - 1) <= Packer.AREA_TOLERANCE_ || isNaN(ratio)) {
+    return a.getLongest() < b.getLongest();
+  }
+  return ratio < 1;
+};
+
+
+/**
+ * @param {number} value A number.
+ * @return {number} The smallest power of two at least {@code value}.
+ * @private
+ */
+Packer.nextPowerOfTwo_ = function(value) {
+  var power = 1;
+  while (power < value) {
+    power *= 2;
+  }
+  return power;
+};
+
+
+/**
+ * @param {number} value A number, at least 1.
+ * @return {number} The largest power of two at most {@code value}.
+ * @private
+ */
+Packer.previousPowerOfTwo_ = function(value) {
+  var power = Packer.nextPowerOfTwo_(value);
+  return power > value ? power / 2 : power;
+};
+
+
+/**
+ * @param {number} count The number of sizes packed.
+ * @param {!Array.<{index: number, rect: !Rect, rotated: boolean}>}
+ *     placements The rectangles placed, including their padding.
+ * @param {number} padding The padding between rectangles.
+ * @param {!Size} size The size of the container.
+ * @return {Packer.Result} The result of the packing.
+ * @private
+ */
+Packer.createResult_ = function(count, placements, padding, size) {
+  var rects = [];
+  var rotated = [];
+  for (var i = 0; i < count; i++) {
+    rects.push(null);
+    rotated.push(false);
+  }
+  placements.forEach(function(placement) {
+    var rect = placement.rect;
+    rects[placement.index] = new Rect(rect.left, rect.top,
+                                      rect.width - padding,
+                                      rect.height - padding);
+    rotated[placement.index] = placement.rotated;
+  });
+  var unplaced = [];
+  rects.forEach(function(rect, index) {
+    if (!rect) {
+      unplaced.push(index);
+    }
+  });
+  return {rects: rects, rotated: rotated, unplaced: unplaced, size: size};
+};
+
+module.exports = Packer;
@@ -0,0 +1,298 @@
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+var XMath = require('./math');
+
+/**
+ * Class for representing simple polygons. The polygon is closed implicitly,
+ * the last vertex connects back to the first one.
+ * @param {!Array.<Coordinate.PointLike>} points The vertices of the polygon.
+ * @constructor
+ */
+var Polygon = function(points) {
+  /**
+   * Vertices
+   * @type {!Array.<!Coordinate>}
+   */
+  this.points = points.map(function(point) {
+    return Coordinate.coerce(point).clone();
+  });
+};
+
+
+/**
+ * Rules deciding which points are inside a self-intersecting polygon, named
+ * after the SVG {@code fill-rule} values.
+ * @enum {string}
+ */
+Polygon.FillRule = {
+  EVEN_ODD: 'evenodd',
+  NON_ZERO: 'nonzero'
+};
+
+
+/**
+ * @return {!Polygon} A new copy of the polygon.
+ */
+Polygon.prototype.clone = function() {
+  return new Polygon(this.points);
+};
+
+
+/**
+ * Returns a nice string representing the polygon.
+ * @return {string} In the form ((0, 0), (10, 0), (10, 10)).
+ * @override
+ */
+Polygon.prototype.toString = function() {
+  return '(' + this.points.join(', ') + ')';
+};
+
+
+/**
+ * Creates a polygon from its JSON form, as produced by
+ * {@code JSON.stringify}.
+ * @param {*} json An object whose points property is an array of vertices in
+ *     the form of {@code Coordinate.prototype.toJSON}.
+ * @return {!Polygon} A new Polygon.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Polygon.fromJSON = function(json) {
+  if (!json || !Array.isArray(json.points)) {
+    throw new TypeError('Expected {points}, got ' + Json.describe(json));
+  }
+  return new Polygon(
+      Json.mapItems(json.points, Coordinate.fromJSON, '.points'));
+};
+
+
+/**
+ * Creates a polygon from the output of {@code toString}.
+ * @param {string} str A string in the form ((0, 0), (10, 0), (10, 10)).
+ * @return {!Polygon} A new Polygon.
+ */
+Polygon.parse = function(str) {
+  var match = /^\s*\((.*)\)\s*$/.exec(str);
+  if (!match ||
+      !/^\s*(\([^()]*\)\s*(,\s*\([^()]*\)\s*)*)?$/.test(match[1])) {
+    throw Error('Invalid polygon string: ' + str);
+  }
+  return new Polygon((match[1].match(/\([^()]*\)/g) || []).map(
+      Coordinate.parse));
+};
+
+
+/**
+ * Compares polygons for equality.
+ * @param {Polygon} a A Polygon.
+ * @param {Polygon} b A Polygon.
+ * @return {boolean} True iff the polygons have equal vertices in the same
+ *     order, or if both are null.
+ */
+Polygon.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b || a.points.length != b.points.length) {
+    return false;
+  }
+  return a.points.every(function(point, i) {
+    return Coordinate.equals(point, b.points[i]);
+  });
+};
+
+
+/**
+ * Returns the signed area of the polygon. With the Y axis pointing down, as
+ * on screen, the area is positive when the vertices go clockwise.
+ * @return {number} The signed area of the polygon.
+ */
+Polygon.prototype.signedArea = function() {
+  var points = this.points;
+  var sum = 0;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j].x * points[i].y - points[i].x * points[j].y;
+  }
+  return sum / 2;
+};
+
+
+/**
+ * @return {number} The area of the polygon.
+ */
+Polygon.prototype.area = function() {
+  return Math.abs(this.signedArea());
+};
+
+
+/**
+ * @return {number} The length of the outline of the polygon.
+ */
+Polygon.prototype.perimeter = function() {
+  var points = this.points;
+  var sum = 0;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += Coordinate.distance(points[j], points[i]);
+  }
+  return sum;
+};
+
+
+/**
+ * Returns the center of mass of the polygon. For polygons with zero area the
+ * average of the vertices is returned instead.
+ * @return {!Coordinate} The centroid of the polygon.
+ */
+Polygon.prototype.centroid = function() {
+  var points = this.points;
+  var area = this.signedArea();
+  if (!area) {
+    return new Coordinate(
+        XMath.average.apply(null, points.map(function(point) {
+          return point.x;
+        })),
+        XMath.average.apply(null, points.map(function(point) {
+          return point.y;
+        })));
+  }
+  var x = 0;
+  var y = 0;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+    var cross = points[j].x * points[i].y - points[i].x * points[j].y;
+    x += (points[j].x + points[i].x) * cross;
+    y += (points[j].y + points[i].y) * cross;
+  }
+  return new Coordinate(x / (6 * area), y / (6 * area));
+};
+
+
+/**
+ * @return {boolean} Whether the vertices go clockwise, with the Y axis
+ *     pointing down.
+ */
+Polygon.prototype.isClockwise = function() {
+  return this.signedArea() > 0;
+};
+
+
+/**
+ * Returns whether the polygon is convex. Collinear vertices are allowed.
+ * @return {boolean} Whether the polygon is convex.
+ */
+Polygon.prototype.isConvex = function() {
+  var points = this.points;
+  var n = points.length;
+  if (n < 3) {
+    return false;
+  }
+  var direction = 0;
+  var turn = 0;
+  for (var i = 0; i < n; i++) {
+    var a = points[i];
+    var b = points[(i + 1) % n];
+    var c = points[(i + 2) % n];
+    var cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross) {
+      if (direction && XMath.sign(cross) != direction) {
+        return false;
+      }
+      direction = XMath.sign(cross);
+    }
+    // A convex polygon turns around exactly once, which rules out
+    // self-intersecting stars whose corners all turn the same way.
+    turn += Math.atan2(cross, (b.x - a.x) * (c.x - b.x) +
+                              (b.y - a.y) * (c.y - b.y));
+  }
+  return !!direction && Math.abs(turn) < 3 * Math.PI;
+};
+
+
+/**
+ * Tests whether the polygon contains a coordinate.
+ * @param {!Coordinate} point The coordinate to test.
+ * @param {Polygon.FillRule=} opt_fillRule The rule deciding which parts of
+ *     a self-intersecting polygon are inside, defaults to NON_ZERO.
+ * @return {boolean} Whether the coordinate is inside the polygon.
+ */
+Polygon.prototype.contains = function(point, opt_fillRule) {
+  point = Coordinate.coerce(point);
+  var points = this.points;
+  var winding = 0;
+  var crossings = 0;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+    var a = points[j];
+    var b = points[i];
+    if ((a.y <= point.y) != (b.y <= point.y)) {
+      var x = a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x);
+      if (point.x < x) {
+        crossings++;
+        winding += b.y > a.y ? 1 : -1;
+      }
+    }
+  }
+  return opt_fillRule == Polygon.FillRule.EVEN_ODD ?
+      crossings % 2 == 1 : winding != 0;
+};
+
+
+/**
+ * Returns the smallest rectangle containing the polygon.
+ * @return {!Rect} The bounding rectangle of the polygon.
+ */
+Polygon.prototype.getBounds = function() {
+  return Rect.createFromBox(Box.boundingBox.apply(null, this.points));
+};
+
+
+/**
+ * Translates this polygon by the given offsets. If a {@code Coordinate}
+ * is given, then the vertices are translated by the coordinate's x and y.
+ * Otherwise, they are translated by {@code tx} and {@code opt_ty}
+ * respectively.
+ * @param {number|Coordinate} tx The value to translate x by or the
+ *     the coordinate to translate this polygon by.
+ * @param {number=} opt_ty The value to translate y by.
+ * @return {!Polygon} This polygon after translating.
+ */
+Polygon.prototype.translate = function(tx, opt_ty) {
+  this.points.forEach(function(point) {
+    point.translate(tx, opt_ty);
+  });
+  return this;
+};
+
+
+/**
+ * Scales this polygon by the given scale factors around the origin. The x
+ * and y values are scaled by {@code sx} and {@code opt_sy} respectively. If
+ * {@code opt_sy} is not given, then {@code sx} is used for both x and y.
+ * @param {number} sx The scale factor to use for the x dimension.
+ * @param {number=} opt_sy The scale factor to use for the y dimension.
+ * @return {!Polygon} This polygon after scaling.
+ */
+Polygon.prototype.scale = function(sx, opt_sy) {
+  this.points.forEach(function(point) {
+    point.scale(sx, opt_sy);
+  });
+  return this;
+};
+
+
+/**
+ * Rotates this polygon by a given angle, specified in radians, around a given
+ * point.
+ * @param {number} angle The angle, in radians.
+ * @param {Coordinate=} opt_center The rotation axis point, defaults to the
+ *     origin.
+ * @return {!Polygon} This polygon after rotating.
+ */
+Polygon.prototype.rotate = function(angle, opt_center) {
+  var center = opt_center || new Coordinate();
+  this.points = this.points.map(function(point) {
+    return Coordinate.rotateAroundPoint(point, center, angle);
+  });
+  return this;
+};
+
+module.exports = Polygon;
@@ -0,0 +1,109 @@
+// Xorshift128 generator, see
+// http://www.jstatsoft.org/v08/i14/paper
+
+/**
+ * Seedable pseudo-random number generator. Can be passed to any of the random
+ * helpers ({@code XMath.randomInt}, {@code Coordinate.random},
+ * {@code Rect.prototype.randomInside}, ...) in place of {@code Math.random}
+ * to make their results reproducible.
+ * @param {number=} opt_seed Integer seed, defaults to a seed derived from
+ *     {@code Math.random}.
+ * @constructor
+ */
+var Random = function(opt_seed) {
+  /**
+   * The four 32-bit words of generator state.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.state_ = [0, 0, 0, 0];
+
+  this.seed(opt_seed === undefined ?
+      Math.floor(Math.random() * 0x100000000) : opt_seed);
+};
+
+
+/**
+ * Resets the generator to the state derived from the given seed.
+ * @param {number} seed Integer seed.
+ * @return {!Random} This generator.
+ */
+Random.prototype.seed = function(seed) {
+  // Expand the seed into four words using splitmix32 so that similar seeds
+  // give unrelated sequences.
+  var s = seed >>> 0;
+  for (var i = 0; i < 4; i++) {
+    s = (s + 0x9e3779b9) >>> 0;
+    var z = s;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    this.state_[i] = (z ^ (z >>> 16)) >>> 0;
+  }
+  // Xorshift must never be in the all-zero state.
+  if (!(this.state_[0] | this.state_[1] | this.state_[2] | this.state_[3])) {
+    this.state_[0] = 1;
+  }
+  return this;
+};
+
+
+/**
+ * Advances the generator and returns the next 32-bit unsigned integer.
+ * @return {number} An integer N such that 0 <= N < 2^32.
+ */
+Random.prototype.nextUint32 = function() {
+  var s = this.state_;
+  var t = s[3];
+  t ^= t << 11;
+  t ^= t >>> 8;
+  s[3] = s[2];
+  s[2] = s[1];
+  s[1] = s[0];
+  t ^= s[0] ^ (s[0] >>> 19);
+  s[0] = t >>> 0;
+  return s[0];
+};
+
+
+/**
+ * Returns the next number in the sequence. Drop-in replacement for
+ * {@code Math.random}.
+ * @return {number} A number N such that 0 <= N < 1.
+ */
+Random.prototype.next = function() {
+  return this.nextUint32() / 0x100000000;
+};
+
+
+/**
+ * Returns a copy of the generator state, which can later be passed to
+ * {@code setState} to replay the sequence from this point.
+ * @return {!Array.<number>} The generator state.
+ */
+Random.prototype.getState = function() {
+  return this.state_.slice();
+};
+
+
+/**
+ * Restores a state previously obtained from {@code getState}.
+ * @param {!Array.<number>} state The generator state.
+ * @return {!Random} This generator.
+ */
+Random.prototype.setState = function(state) {
+  for (var i = 0; i < 4; i++) {
+    this.state_[i] = state[i] >>> 0;
+  }
+  return this;
+};
+
+
+/**
+ * @return {!Random} A new generator which will produce the same sequence as
+ *     this one.
+ */
+Random.prototype.clone = function() {
+  return new Random(0).setState(this.state_);
+};
+
+module.exports = Random;
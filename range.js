@@ -0,0 +1,219 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_range.js.source.html
+
+var Json = require('./json');
+var XMath = require('./math');
+
+/**
+ * A number range.
+ * @param {number} a One end of the range.
+ * @param {number} b The other end of the range.
+ * @constructor
+ */
+var Range = function(a, b) {
+  /**
+   * The lowest value in the range.
+   * @type {number}
+   */
+  this.start = a < b ? a : b;
+
+  /**
+   * The highest value in the range.
+   * @type {number}
+   */
+  this.end = a < b ? b : a;
+};
+
+
+/**
+ * Creates a Range from an array of two numbers.
+ * @param {!Array.<number>} pair A pair of numbers.
+ * @return {!Range} A new Range.
+ */
+Range.fromPair = function(pair) {
+  return new Range(pair[0], pair[1]);
+};
+
+
+/**
+ * @return {!Range} A clone of this Range.
+ */
+Range.prototype.clone = function() {
+  return new Range(this.start, this.end);
+};
+
+
+/**
+ * @return {number} Length of the range.
+ */
+Range.prototype.getLength = function() {
+  return this.end - this.start;
+};
+
+
+/**
+ * Extends this range to include the given point.
+ * @param {number} point The point to include.
+ * @return {!Range} This range after extending.
+ */
+Range.prototype.includePoint = function(point) {
+  this.start = Math.min(this.start, point);
+  this.end = Math.max(this.end, point);
+  return this;
+};
+
+
+/**
+ * Extends this range to include the given range.
+ * @param {!Range} range The range to include.
+ * @return {!Range} This range after extending.
+ */
+Range.prototype.includeRange = function(range) {
+  this.start = Math.min(this.start, range.start);
+  this.end = Math.max(this.end, range.end);
+  return this;
+};
+
+
+/**
+ * Returns whether the range contains a point or another range.
+ * @param {number|Range} other A number or a Range.
+ * @return {boolean} Whether the range contains the point or other range.
+ */
+Range.prototype.contains = function(other) {
+  return other instanceof Range ?
+      Range.contains(this, other) : Range.containsPoint(this, other);
+};
+
+
+/**
+ * Takes a number and clamps it to within the range.
+ * @param {number} value The input number.
+ * @return {number} The input number if it is within the range, or the
+ *     nearest end of the range.
+ */
+Range.prototype.clamp = function(value) {
+  return XMath.clamp(value, this.start, this.end);
+};
+
+
+/**
+ * Returns a nice string representing the range.
+ * @return {string} In the form [-3.5, 8.13].
+ * @override
+ */
+Range.prototype.toString = function() {
+  return '[' + this.start + ', ' + this.end + ']';
+};
+
+
+/**
+ * Creates a range from its JSON form, as produced by {@code JSON.stringify}.
+ * @param {*} json An object with numeric start and end properties.
+ * @return {!Range} A new Range.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Range.fromJSON = function(json) {
+  if (!json || !XMath.isNumber(json.start) || !XMath.isNumber(json.end)) {
+    throw new TypeError('Expected {start, end}, got ' + Json.describe(json));
+  }
+  return new Range(json.start, json.end);
+};
+
+
+/**
+ * Creates a range from the output of {@code toString}.
+ * @param {string} str A string in the form [-3.5, 8.13].
+ * @return {!Range} A new Range.
+ */
+Range.parse = function(str) {
+  var match = /^\s*\[([^,\[\]]*),([^,\[\]]*)\]\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid range string: ' + str);
+  }
+  return new Range(values[0], values[1]);
+};
+
+
+/**
+ * Compares ranges for equality.
+ * @param {Range} a A Range.
+ * @param {Range} b A Range.
+ * @return {boolean} True iff both the starts and the ends of the ranges are
+ *     equal, or if both ranges are null.
+ */
+Range.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b) {
+    return false;
+  }
+  return a.start == b.start && a.end == b.end;
+};
+
+
+/**
+ * Given two ranges on the same dimension, this method returns the
+ * intersection of those ranges.
+ * @param {Range} a A Range.
+ * @param {Range} b A Range.
+ * @return {Range} A new range representing the intersection of two ranges, or
+ *     null if there is no intersection. Ranges are assumed to include their
+ *     end points, and the intersection can be a point.
+ */
+Range.intersection = function(a, b) {
+  var c0 = Math.max(a.start, b.start);
+  var c1 = Math.min(a.end, b.end);
+  return (c0 <= c1) ? new Range(c0, c1) : null;
+};
+
+
+/**
+ * Given two ranges on the same dimension, determines whether they intersect.
+ * Ranges are assumed to include their end points.
+ * @param {Range} a A Range.
+ * @param {Range} b A Range.
+ * @return {boolean} Whether they intersect.
+ */
+Range.hasIntersection = function(a, b) {
+  return Math.max(a.start, b.start) <= Math.min(a.end, b.end);
+};
+
+
+/**
+ * Given two ranges on the same dimension, this returns a range that covers
+ * both ranges.
+ * @param {Range} a A Range.
+ * @param {Range} b A Range.
+ * @return {!Range} A new range representing the bounding range.
+ */
+Range.boundingRange = function(a, b) {
+  return new Range(Math.min(a.start, b.start), Math.max(a.end, b.end));
+};
+
+
+/**
+ * Given two ranges, returns true if the first range completely overlaps the
+ * second.
+ * @param {Range} a The exterior range.
+ * @param {Range} b The interior range.
+ * @return {boolean} Whether {@code a} contains {@code b}.
+ */
+Range.contains = function(a, b) {
+  return a.start <= b.start && a.end >= b.end;
+};
+
+
+/**
+ * Given a range and a point, returns true if the range contains the point.
+ * @param {Range} range The range.
+ * @param {number} p The point.
+ * @return {boolean} Whether the point is inside the range.
+ */
+Range.containsPoint = function(range, p) {
+  return range.start <= p && range.end >= p;
+};
+
+module.exports = Range;
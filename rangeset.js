@@ -0,0 +1,277 @@
+// Original license here
+// http://docs.closure-library.googlecode.com/git/closure_goog_math_rangeset.js.source.html
+
+var Json = require('./json');
+var Range = require('./range');
+var XMath = require('./math');
+
+/**
+ * Constructs a new RangeSet, which can store numeric ranges.
+ *
+ * Ranges are treated as half-closed: that is, they are exclusive of their end
+ * value [start, end).
+ *
+ * New ranges added to the set which overlap the values in one or more existing
+ * ranges will be merged, so the set always holds sorted, disjoint ranges.
+ *
+ * @constructor
+ */
+var RangeSet = function() {
+  /**
+   * A sorted list of disjoint ranges.
+   * @type {!Array.<!Range>}
+   * @private
+   */
+  this.ranges_ = [];
+};
+
+
+/**
+ * Compares two sets for equality.
+ * @param {RangeSet} a A RangeSet.
+ * @param {RangeSet} b A RangeSet.
+ * @return {boolean} True iff both sets contain the same ranges, or if both
+ *     sets are null.
+ */
+RangeSet.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b || a.ranges_.length != b.ranges_.length) {
+    return false;
+  }
+  return a.ranges_.every(function(range, i) {
+    return Range.equals(range, b.ranges_[i]);
+  });
+};
+
+
+/**
+ * @return {!RangeSet} A new RangeSet containing the same values as this one.
+ */
+RangeSet.prototype.clone = function() {
+  var set = new RangeSet();
+  set.ranges_ = this.ranges_.map(function(range) {
+    return range.clone();
+  });
+  return set;
+};
+
+
+/**
+ * Adds a range to the set. If the new range overlaps or touches existing
+ * values, they will be merged. Empty ranges are ignored.
+ * @param {!Range} a The range to add.
+ * @return {!RangeSet} This set after adding.
+ */
+RangeSet.prototype.add = function(a) {
+  if (a.end <= a.start) {
+    return this;
+  }
+
+  var start = a.start;
+  var end = a.end;
+  var ranges = this.ranges_;
+
+  // Ranges entirely before the new one are kept, the ones overlapping or
+  // touching it are merged into it.
+  var i = 0;
+  while (i < ranges.length && ranges[i].end < start) {
+    i++;
+  }
+  var j = i;
+  while (j < ranges.length && ranges[j].start <= end) {
+    start = Math.min(start, ranges[j].start);
+    end = Math.max(end, ranges[j].end);
+    j++;
+  }
+  ranges.splice(i, j - i, new Range(start, end));
+  return this;
+};
+
+
+/**
+ * Removes all values in the given range from the set.
+ * @param {!Range} a The range to remove.
+ * @return {!RangeSet} This set after removing.
+ */
+RangeSet.prototype.remove = function(a) {
+  if (a.end <= a.start) {
+    return this;
+  }
+
+  var result = [];
+  this.ranges_.forEach(function(range) {
+    if (range.end <= a.start || range.start >= a.end) {
+      result.push(range);
+      return;
+    }
+    if (range.start < a.start) {
+      result.push(new Range(range.start, a.start));
+    }
+    if (range.end > a.end) {
+      result.push(new Range(a.end, range.end));
+    }
+  });
+  this.ranges_ = result;
+  return this;
+};
+
+
+/**
+ * Determines whether a given range is entirely contained in the set.
+ * @param {!Range} a The range to test.
+ * @return {boolean} Whether the set contains all values of the range.
+ */
+RangeSet.prototype.containsRange = function(a) {
+  if (a.end <= a.start) {
+    return false;
+  }
+  return this.ranges_.some(function(range) {
+    return Range.contains(range, a);
+  });
+};
+
+
+/**
+ * Determines whether a given value is contained in the set.
+ * @param {number} value The value to test.
+ * @return {boolean} Whether the set contains the value.
+ */
+RangeSet.prototype.containsValue = function(value) {
+  return this.ranges_.some(function(range) {
+    return range.start <= value && value < range.end;
+  });
+};
+
+
+/**
+ * @return {Range} The smallest range containing all values in the set, or
+ *     null if the set is empty.
+ */
+RangeSet.prototype.getBounds = function() {
+  if (this.isEmpty()) {
+    return null;
+  }
+  return new Range(this.ranges_[0].start,
+                   this.ranges_[this.ranges_.length - 1].end);
+};
+
+
+/**
+ * @return {number} The sum of the lengths of ranges in the set.
+ */
+RangeSet.prototype.coveredLength = function() {
+  return this.ranges_.reduce(function(sum, range) {
+    return sum + range.getLength();
+  }, 0);
+};
+
+
+/**
+ * @return {boolean} Whether the set is empty.
+ */
+RangeSet.prototype.isEmpty = function() {
+  return this.ranges_.length == 0;
+};
+
+
+/**
+ * Removes all values from the set.
+ */
+RangeSet.prototype.clear = function() {
+  this.ranges_.length = 0;
+};
+
+
+/**
+ * @return {!Array.<!Range>} Copies of the ranges in the set, in increasing
+ *     order.
+ */
+RangeSet.prototype.getRanges = function() {
+  return this.ranges_.map(function(range) {
+    return range.clone();
+  });
+};
+
+
+/**
+ * Calls a function for each range in the set, in increasing order.
+ * @param {function(this:T, !Range, number)} fn The function to call with a
+ *     copy of each range and its index.
+ * @param {T=} opt_obj The object to be used as the value of 'this' within
+ *     {@code fn}.
+ * @template T
+ */
+RangeSet.prototype.forEach = function(fn, opt_obj) {
+  this.getRanges().forEach(function(range, i) {
+    fn.call(opt_obj, range, i);
+  });
+};
+
+
+/**
+ * Returns a nice string representing the set.
+ * @return {string} In the form {[1, 3], [5, 7]}.
+ * @override
+ */
+RangeSet.prototype.toString = function() {
+  return '{' + this.ranges_.join(', ') + '}';
+};
+
+
+/**
+ * @return {!Array.<!Array.<number>>} The ranges of the set as [start, end]
+ *     pairs, for {@code JSON.stringify}.
+ */
+RangeSet.prototype.toJSON = function() {
+  return this.ranges_.map(function(range) {
+    return [range.start, range.end];
+  });
+};
+
+
+/**
+ * Creates a set from the output of {@code toJSON}.
+ * @param {*} json An array of [start, end] pairs of numbers.
+ * @return {!RangeSet} A new RangeSet.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+RangeSet.fromJSON = function(json) {
+  if (!Array.isArray(json)) {
+    throw new TypeError('Expected [[start, end], ...], got ' +
+        Json.describe(json));
+  }
+  var set = new RangeSet();
+  Json.mapItems(json, function(pair) {
+    if (!Array.isArray(pair) || pair.length != 2 ||
+        !pair.every(XMath.isNumber)) {
+      throw new TypeError('Expected [start, end], got ' + Json.describe(pair));
+    }
+    return new Range(pair[0], pair[1]);
+  }).forEach(function(range) {
+    set.add(range);
+  });
+  return set;
+};
+
+
+/**
+ * Creates a set from the output of {@code toString}.
+ * @param {string} str A string in the form {[1, 3], [5, 7]}.
+ * @return {!RangeSet} A new RangeSet.
+ */
+RangeSet.parse = function(str) {
+  var match = /^\s*\{(.*)\}\s*$/.exec(str);
+  if (!match ||
+      !/^\s*(\[[^\[\]]*\]\s*(,\s*\[[^\[\]]*\]\s*)*)?$/.test(match[1])) {
+    throw Error('Invalid range set string: ' + str);
+  }
+  var set = new RangeSet();
+  (match[1].match(/\[[^\[\]]*\]/g) || []).forEach(function(range) {
+    set.add(Range.parse(range));
+  });
+  return set;
+};
+
+module.exports = RangeSet;
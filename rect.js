@@ -3,6 +3,8 @@
 
 var Box = require('./box');
 var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Line = require('./line');
 var Size = require('./size');
 var XMath = require('./math');
 
@@ -73,17 +75,34 @@ Rect.prototype.toBox = function() {
  *     and size.
  */
 Rect.createFromBox = function(box) {
+  box = Box.coerce(box);
   return new Rect(box.left, box.top,
       box.right - box.left, box.bottom - box.top);
 };
 
 
+/**
+ * Creates a new Rect from the result of
+ * {@code Element.prototype.getBoundingClientRect}.
+ * @param {{left: number, top: number, width: number, height: number}} rect
+ *     The client rectangle.
+ * @return {!Rect} A new Rect with the same position and size.
+ */
+Rect.createFromClientRect = function(rect) {
+  return new Rect(rect.left, rect.top, rect.width, rect.height);
+};
+
+
 Rect.createAtOffset = function(offset, size) {
+  offset = Coordinate.coerce(offset);
+  size = Size.coerce(size);
   return new Rect(offset.x, offset.y, size.width, size.height);
 }
 
 
 Rect.createAroundCenter = function(center, size) {
+  center = Coordinate.coerce(center);
+  size = Size.coerce(size);
   return new Rect(center.x - size.width / 2,
                   center.y - size.height / 2,
                   size.width, size.height);
@@ -104,6 +123,93 @@ Rect.prototype.toJSON = function() {
   return [this.left, this.top, this.width, this.height];
 };
 
+
+/**
+ * Creates a rectangle from the output of {@code toJSON}.
+ * @param {*} json An array of four numbers [left, top, width, height].
+ * @return {!Rect} A new Rect.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Rect.fromJSON = function(json) {
+  if (!Array.isArray(json) || json.length != 4 ||
+      !json.every(XMath.isNumber)) {
+    throw new TypeError('Expected [left, top, width, height], got ' +
+        Json.describe(json));
+  }
+  return new Rect(json[0], json[1], json[2], json[3]);
+};
+
+
+/**
+ * Creates a rectangle from the output of {@code toString}.
+ * @param {string} str A string in the form (50, 73 - 75w x 25h).
+ * @return {!Rect} A new Rect.
+ */
+Rect.parse = function(str) {
+  var match =
+      /^\s*\(([^,()]*),(.*?)\s-\s(.*?)w\s*x\s*(.*?)h\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid rect string: ' + str);
+  }
+  return new Rect(values[0], values[1], values[2], values[3]);
+};
+
+
+/**
+ * Values accepted wherever a Rect is expected: a Rect, any object with numeric
+ * left, top, width and height or x, y, width and height properties (such as a
+ * DOMRect), any box-like value (see {@code Box.BoxLike}), or an array of four
+ * numbers [left, top, width, height].
+ * @typedef {Rect|{left: number, top: number, width: number, height: number}|
+ *     {x: number, y: number, width: number, height: number}|Box.BoxLike|
+ *     Array.<number>}
+ */
+Rect.RectLike;
+
+
+/**
+ * Returns whether a value can be used as a Rect.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether {@code value} is rect-like.
+ */
+Rect.isRectLike = function(value) {
+  if (Array.isArray(value)) {
+    return value.length == 4 && value.every(XMath.isNumber);
+  }
+  return value instanceof Rect || Box.isBoxLike(value);
+};
+
+
+/**
+ * Converts a rect-like value to a Rect. Objects having both left/top and x/y
+ * properties use left and top.
+ * @param {Rect.RectLike} value The value to convert.
+ * @return {!Rect} {@code value} itself if it is a Rect, otherwise a new Rect
+ *     with the same position and size.
+ * @throws {TypeError} If {@code value} is not rect-like.
+ */
+Rect.coerce = function(value) {
+  if (value instanceof Rect) {
+    return value;
+  }
+  if (!Rect.isRectLike(value)) {
+    throw new TypeError('Expected a rect-like value ({left, top, width, ' +
+        'height}, {x, y, width, height}, {top, right, bottom, left} or ' +
+        '[left, top, width, height]), got ' +
+        Json.describe(value));
+  }
+  if (Array.isArray(value)) {
+    return new Rect(value[0], value[1], value[2], value[3]);
+  }
+  if (XMath.isNumber(value.width) && XMath.isNumber(value.height)) {
+    return new Rect(XMath.isNumber(value.left) ? value.left : value.x,
+                    XMath.isNumber(value.top) ? value.top : value.y,
+                    value.width, value.height);
+  }
+  return Rect.createFromBox(value);
+};
+
 /**
  * Compares rectangles for equality.
  * @param {Rect} a A Rectangle.
@@ -115,9 +221,11 @@ Rect.equals = function(a, b) {
   if (a == b) {
     return true;
   }
-  if (!a || !b) {
+  if (!Rect.isRectLike(a) || !Rect.isRectLike(b)) {
     return false;
   }
+  a = Rect.coerce(a);
+  b = Rect.coerce(b);
   return a.left == b.left && a.width == b.width &&
          a.top == b.top && a.height == b.height;
 };
@@ -130,6 +238,7 @@ Rect.equals = function(a, b) {
  * @return {boolean} True iff this rectangle intersects with the parameter.
  */
 Rect.prototype.intersection = function(rect) {
+  rect = Rect.coerce(rect);
   var x0 = Math.max(this.left, rect.left);
   var x1 = Math.min(this.left + this.width, rect.left + rect.width);
 
@@ -163,6 +272,8 @@ Rect.intersection = function(a, b) {
   // There is no nice way to do intersection via a clone, because any such
   // clone might be unnecessary if this function returns null.  So, we duplicate
   // code from above.
+  a = Rect.coerce(a);
+  b = Rect.coerce(b);
 
   var x0 = Math.max(a.left, b.left);
   var x1 = Math.min(a.left + a.width, b.left + b.width);
@@ -188,6 +299,8 @@ Rect.intersection = function(a, b) {
  * @return {boolean} Whether a and b intersect.
  */
 Rect.intersects = function(a, b) {
+  a = Rect.coerce(a);
+  b = Rect.coerce(b);
   return (a.left <= b.left + b.width && b.left <= a.left + a.width &&
       a.top <= b.top + b.height && b.top <= a.top + a.height);
 };
@@ -203,6 +316,56 @@ Rect.prototype.intersects = function(rect) {
 };
 
 
+/**
+ * Returns the shortest translation moving a rectangle out of another one,
+ * see {@code Box.minimumTranslation}.
+ * @param {Rect.RectLike} a The rectangle to move.
+ * @param {Rect.RectLike} b The rectangle to move out of.
+ * @param {number=} opt_padding Additional padding to keep between the
+ *     rectangles.
+ * @return {Coordinate} The translation to apply to {@code a}, or null if the
+ *     rectangles do not intersect.
+ */
+Rect.minimumTranslation = function(a, b, opt_padding) {
+  return Box.minimumTranslation(Rect.coerce(a).toBox(), Rect.coerce(b).toBox(),
+                                opt_padding);
+};
+
+
+/**
+ * Finds when a rectangle moving in a straight line first hits a static one,
+ * see {@code Box.sweep}.
+ * @param {Rect.RectLike} rect The moving rectangle, at its start position.
+ * @param {Coordinate.PointLike} velocity The translation of {@code rect}
+ *     between times 0 and 1.
+ * @param {Rect.RectLike} obstacle The static rectangle.
+ * @return {?{time: number, normal: !Coordinate}} The time of impact from 0 to
+ *     1, and the unit normal of the side of {@code obstacle} hit, or null if
+ *     the rectangles do not collide before time 1.
+ */
+Rect.sweep = function(rect, velocity, obstacle) {
+  return Box.sweep(Rect.coerce(rect).toBox(), velocity,
+                   Rect.coerce(obstacle).toBox());
+};
+
+
+/**
+ * Finds where a ray enters and leaves a rectangle, see
+ * {@code Box.intersectRay}.
+ * @param {Rect.RectLike} rect A rectangle.
+ * @param {Coordinate.PointLike} origin The start of the ray.
+ * @param {Coordinate.PointLike} direction The direction of the ray.
+ * @return {?{entry: !Coordinate, exit: !Coordinate, entryTime: number,
+ *     exitTime: number}} The points where the ray enters and leaves the
+ *     rectangle, and the times at which it reaches them in multiples of
+ *     {@code direction}, or null if it misses the rectangle or
+ *     {@code direction} is zero.
+ */
+Rect.intersectRay = function(rect, origin, direction) {
+  return Box.intersectRay(Rect.coerce(rect).toBox(), origin, direction);
+};
+
+
 /**
  * Computes the difference regions between two rectangles. The return value is
  * an array of 0 to 4 rectangles defining the remaining regions of the first
@@ -213,6 +376,8 @@ Rect.prototype.intersects = function(rect) {
  *     together define the difference area of rectangle a minus rectangle b.
  */
 Rect.difference = function(a, b) {
+  a = Rect.coerce(a);
+  b = Rect.coerce(b);
   var intersection = Rect.intersection(a, b);
   if (!intersection || !intersection.height || !intersection.width) {
     return [a.clone()];
@@ -272,6 +437,8 @@ Rect.prototype.difference = function(rect) {
  * @param {Rect} rect The other rectangle.
  */
 Rect.prototype.boundingRect = function(rect) {
+  rect = Rect.coerce(rect);
+
   // We compute right and bottom before we change left and top below.
   var right = Math.max(this.left + this.width, rect.left + rect.width);
   var bottom = Math.max(this.top + this.height, rect.top + rect.height);
@@ -296,7 +463,7 @@ Rect.boundingRect = function(a, b) {
     return null;
   }
 
-  var clone = a.clone();
+  var clone = Rect.coerce(a).clone();
   clone.boundingRect(b);
 
   return clone;
@@ -307,18 +474,20 @@ Rect.boundingRect = function(a, b) {
  * Tests whether this rectangle entirely contains another rectangle or
  * coordinate.
  *
- * @param {Rect|Coordinate} another The rectangle or
+ * @param {Rect.RectLike|Coordinate.PointLike} another The rectangle or
  *     coordinate to test for containment.
  * @return {boolean} Whether this rectangle contains given rectangle or
  *     coordinate.
  */
 Rect.prototype.contains = function(another) {
-  if (another instanceof Rect) {
+  if (Rect.isRectLike(another)) {
+    another = Rect.coerce(another);
     return this.left <= another.left &&
            this.left + this.width >= another.left + another.width &&
            this.top <= another.top &&
            this.top + this.height >= another.top + another.height;
-  } else { // (another instanceof Coordinate)
+  } else {
+    another = Coordinate.coerce(another);
     return another.x >= this.left &&
            another.x <= this.left + this.width &&
            another.y >= this.top &&
@@ -329,11 +498,12 @@ Rect.prototype.contains = function(another) {
 
 /**
  * Returns a random coordinate inside this rectangle.
+ * @param {Random=} opt_random Generator to use instead of {@code Math.random}.
  * @return {!Coordinate} Random coordinate inside the rectangle.
  */
-Rect.prototype.randomInside = function() {
-  return new Coordinate(this.left + Math.random() * this.width,
-                        this.top + Math.random() * this.height);
+Rect.prototype.randomInside = function(opt_random) {
+  return new Coordinate(this.left + XMath.random(opt_random) * this.width,
+                        this.top + XMath.random(opt_random) * this.height);
 };
 
 
@@ -346,6 +516,23 @@ Rect.prototype.offset = function() {
 };
 
 
+/**
+ * Returns the edges of this rectangle as line segments, going clockwise from
+ * the top left corner.
+ * @return {!Array.<!Line>} The top, right, bottom and left edges.
+ */
+Rect.prototype.getEdges = function() {
+  var right = this.left + this.width;
+  var bottom = this.top + this.height;
+  return [
+    new Line(this.left, this.top, right, this.top),
+    new Line(right, this.top, right, bottom),
+    new Line(right, bottom, this.left, bottom),
+    new Line(this.left, bottom, this.left, this.top)
+  ];
+};
+
+
 /**
  * Returns the size of this rectangle.
  * @return {!Size} The size of this rectangle.
@@ -377,6 +564,17 @@ Rect.prototype.ceil = function() {
 };
 
 
+/**
+ * Returns a copy of a rectangle with its fields rounded to the next larger
+ * integer values.
+ * @param {!Rect} a A Rectangle.
+ * @return {!Rect} A new Rect, {@code a} is not changed.
+ */
+Rect.ceil = function(a) {
+  return Rect.coerce(a).clone().ceil();
+};
+
+
 /**
  * Rounds the fields to the next smaller integer values.
  * @return {!Rect} This rectangle with floored fields.
@@ -390,6 +588,17 @@ Rect.prototype.floor = function() {
 };
 
 
+/**
+ * Returns a copy of a rectangle with its fields rounded to the next smaller
+ * integer values.
+ * @param {!Rect} a A Rectangle.
+ * @return {!Rect} A new Rect, {@code a} is not changed.
+ */
+Rect.floor = function(a) {
+  return Rect.coerce(a).clone().floor();
+};
+
+
 /**
  * Rounds the fields to nearest integer values.
  * @return {!Rect} This rectangle with rounded fields.
@@ -403,9 +612,20 @@ Rect.prototype.round = function() {
 };
 
 
+/**
+ * Returns a copy of a rectangle with its fields rounded to the nearest
+ * integer values.
+ * @param {!Rect} a A Rectangle.
+ * @return {!Rect} A new Rect, {@code a} is not changed.
+ */
+Rect.round = function(a) {
+  return Rect.coerce(a).clone().round();
+};
+
+
 /**
  * Translates this rectangle by the given offsets. If a
- * {@code Coordinate} is given, then the left and top values are
+ * point-like value is given, then the left and top values are
  * translated by the coordinate's x and y values. Otherwise, top and left are
  * translated by {@code tx} and {@code opt_ty} respectively.
  * @param {number|Coordinate} tx The value to translate left by or the
@@ -414,7 +634,8 @@ Rect.prototype.round = function() {
  * @return {!Rect} This rectangle after translating.
  */
 Rect.prototype.translate = function(tx, opt_ty) {
-  if (tx instanceof Coordinate) {
+  if (!XMath.isNumber(tx)) {
+    tx = Coordinate.coerce(tx);
     this.left += tx.x;
     this.top += tx.y;
   } else {
@@ -427,6 +648,20 @@ Rect.prototype.translate = function(tx, opt_ty) {
 };
 
 
+/**
+ * Returns a copy of a rectangle translated by the given offsets, see
+ * {@code Rect.prototype.translate}.
+ * @param {!Rect} a A Rectangle.
+ * @param {number|Coordinate} tx The value to translate left by or the
+ *     the coordinate to translate by.
+ * @param {number=} opt_ty The value to translate top by.
+ * @return {!Rect} A new Rect, {@code a} is not changed.
+ */
+Rect.translate = function(a, tx, opt_ty) {
+  return Rect.coerce(a).clone().translate(tx, opt_ty);
+};
+
+
 /**
  * Scales this rectangle by the given scale factors. The left and width values
  * are scaled by {@code sx} and the top and height values are scaled by
@@ -445,4 +680,35 @@ Rect.prototype.scale = function(sx, opt_sy) {
   return this;
 };
 
+
+/**
+ * Returns a copy of a rectangle scaled by the given scale factors, see
+ * {@code Rect.prototype.scale}.
+ * @param {!Rect} a A Rectangle.
+ * @param {number} sx The scale factor to use for the x dimension.
+ * @param {number=} opt_sy The scale factor to use for the y dimension.
+ * @return {!Rect} A new Rect, {@code a} is not changed.
+ */
+Rect.scale = function(a, sx, opt_sy) {
+  return Rect.coerce(a).clone().scale(sx, opt_sy);
+};
+
+
+/**
+ * Returns a new Rect that is the linear interpolant between rectangles a and
+ * b at scale-value x.
+ * @param {Rect.RectLike} a Rectangle a.
+ * @param {Rect.RectLike} b Rectangle b.
+ * @param {number} x The proportion between a and b.
+ * @return {!Rect} The interpolated rectangle.
+ */
+Rect.lerp = function(a, b, x) {
+  a = Rect.coerce(a);
+  b = Rect.coerce(b);
+  return new Rect(XMath.lerp(a.left, b.left, x),
+                  XMath.lerp(a.top, b.top, x),
+                  XMath.lerp(a.width, b.width, x),
+                  XMath.lerp(a.height, b.height, x));
+};
+
 module.exports = Rect;
\ No newline at end of file
@@ -0,0 +1,472 @@
+var Coordinate = require('./coordinate');
+var Json = require('./json');
+var Rect = require('./rect');
+
+/**
+ * Class for representing areas made of any number of rectangles. The area is
+ * stored as non-overlapping rectangles in a banded form: the rectangles are
+ * sorted top to bottom and left to right, rectangles in the same horizontal
+ * band share their top and bottom, and vertically adjacent bands which would
+ * have the same rectangles are merged. The same area always has the same
+ * representation.
+ * @param {Array.<Rect.RectLike>=} opt_rects Rectangles, possibly overlapping,
+ *     whose union makes up the region.
+ * @constructor
+ */
+var Region = function(opt_rects) {
+  /**
+   * @type {!Array.<!Rect>}
+   * @private
+   */
+  this.rects_ = Region.combine_((opt_rects || []).map(Rect.coerce), [],
+                                Region.or_);
+};
+
+
+/**
+ * @return {!Region} A new copy of the region.
+ */
+Region.prototype.clone = function() {
+  var region = new Region();
+  region.rects_ = this.getRects();
+  return region;
+};
+
+
+/**
+ * @return {!Array.<!Rect>} Copies of the non-overlapping rectangles making up
+ *     the region, in banded order.
+ */
+Region.prototype.getRects = function() {
+  return this.rects_.map(function(rect) {
+    return rect.clone();
+  });
+};
+
+
+/**
+ * Returns a nice string representing the region.
+ * @return {string} In the form {(0, 0 - 10w x 5h), (0, 5 - 3w x 5h)}.
+ * @override
+ */
+Region.prototype.toString = function() {
+  return '{' + this.rects_.join(', ') + '}';
+};
+
+
+/**
+ * @return {!Array.<!Rect>} The rectangles making up the region, which
+ *     {@code JSON.stringify} writes in the form of
+ *     {@code Rect.prototype.toJSON}.
+ */
+Region.prototype.toJSON = function() {
+  return this.getRects();
+};
+
+
+/**
+ * Creates a region from the output of {@code toJSON}.
+ * @param {*} json An array of rectangles in the form of
+ *     {@code Rect.prototype.toJSON}.
+ * @return {!Region} A new Region.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Region.fromJSON = function(json) {
+  if (!Array.isArray(json)) {
+    throw new TypeError('Expected an array of rects, got ' +
+        Json.describe(json));
+  }
+  return new Region(Json.mapItems(json, Rect.fromJSON));
+};
+
+
+/**
+ * Creates a region from the output of {@code toString}.
+ * @param {string} str A string in the form
+ *     {(0, 0 - 10w x 5h), (0, 5 - 3w x 5h)}.
+ * @return {!Region} A new Region.
+ */
+Region.parse = function(str) {
+  var match = /^\s*\{(.*)\}\s*$/.exec(str);
+  if (!match ||
+      !/^\s*(\([^()]*\)\s*(,\s*\([^()]*\)\s*)*)?$/.test(match[1])) {
+    throw Error('Invalid region string: ' + str);
+  }
+  return new Region((match[1].match(/\([^()]*\)/g) || []).map(Rect.parse));
+};
+
+
+/**
+ * Compares regions for equality.
+ * @param {Region} a A Region.
+ * @param {Region} b A Region.
+ * @return {boolean} True iff the regions cover the same area, or if both are
+ *     null.
+ */
+Region.equals = function(a, b) {
+  if (a == b) {
+    return true;
+  }
+  if (!a || !b || a.rects_.length != b.rects_.length) {
+    return false;
+  }
+  return a.rects_.every(function(rect, i) {
+    return Rect.equals(rect, b.rects_[i]);
+  });
+};
+
+
+/**
+ * @return {boolean} Whether the region has no area.
+ */
+Region.prototype.isEmpty = function() {
+  return !this.rects_.length;
+};
+
+
+/**
+ * @return {number} The area of the region.
+ */
+Region.prototype.area = function() {
+  return this.rects_.reduce(function(sum, rect) {
+    return sum + rect.area();
+  }, 0);
+};
+
+
+/**
+ * @return {Rect} The smallest rectangle containing the region, or null if the
+ *     region is empty.
+ */
+Region.prototype.getBounds = function() {
+  return this.rects_.reduce(function(bounds, rect) {
+    return bounds ? Rect.boundingRect(bounds, rect) : rect.clone();
+  }, null);
+};
+
+
+/**
+ * Tests whether the region contains a coordinate, including its edges, or
+ * entirely contains a rectangle or another region.
+ * @param {Coordinate.PointLike|Rect.RectLike|Region} other The coordinate,
+ *     rectangle or region to test.
+ * @return {boolean} Whether the region contains {@code other}.
+ */
+Region.prototype.contains = function(other) {
+  if (!(other instanceof Region) && !Rect.isRectLike(other)) {
+    other = Coordinate.coerce(other);
+    return this.rects_.some(function(rect) {
+      return rect.contains(other);
+    });
+  }
+  if (!(other instanceof Region)) {
+    other = Rect.coerce(other);
+    if (!Region.hasArea_(other)) {
+      return Region.coversSegment_(this.rects_, other);
+    }
+  }
+  return Region.combine_(Region.rectsOf_(other), this.rects_,
+                         Region.andNot_).length == 0;
+};
+
+
+/**
+ * Adds the area of a rectangle or another region to this region.
+ * @param {Rect.RectLike|Region} other A Rect or a Region.
+ * @return {!Region} This region after the union.
+ */
+Region.prototype.union = function(other) {
+  this.rects_ = Region.combine_(this.rects_, Region.rectsOf_(other),
+                                Region.or_);
+  return this;
+};
+
+
+/**
+ * Reduces this region to the area it shares with a rectangle or another
+ * region.
+ * @param {Rect.RectLike|Region} other A Rect or a Region.
+ * @return {!Region} This region after the intersection.
+ */
+Region.prototype.intersect = function(other) {
+  this.rects_ = Region.combine_(this.rects_, Region.rectsOf_(other),
+                                Region.and_);
+  return this;
+};
+
+
+/**
+ * Removes the area of a rectangle or another region from this region.
+ * @param {Rect.RectLike|Region} other A Rect or a Region.
+ * @return {!Region} This region after the difference.
+ */
+Region.prototype.subtract = function(other) {
+  this.rects_ = Region.combine_(this.rects_, Region.rectsOf_(other),
+                                Region.andNot_);
+  return this;
+};
+
+
+/**
+ * Changes this region to the area covered by exactly one of this region and
+ * a rectangle or another region.
+ * @param {Rect.RectLike|Region} other A Rect or a Region.
+ * @return {!Region} This region after the symmetric difference.
+ */
+Region.prototype.xor = function(other) {
+  this.rects_ = Region.combine_(this.rects_, Region.rectsOf_(other),
+                                Region.xor_);
+  return this;
+};
+
+
+/**
+ * Translates this region by the given offsets, as in
+ * {@code Rect.prototype.translate}.
+ * @param {number|Coordinate} tx The value to translate x by or the
+ *     the coordinate to translate this region by.
+ * @param {number=} opt_ty The value to translate y by.
+ * @return {!Region} This region after translating.
+ */
+Region.prototype.translate = function(tx, opt_ty) {
+  this.rects_.forEach(function(rect) {
+    rect.translate(tx, opt_ty);
+  });
+  return this;
+};
+
+
+/**
+ * @param {Rect.RectLike|Region} other A Rect or a Region.
+ * @return {!Array.<!Rect>} The rectangles making up {@code other}.
+ * @private
+ */
+Region.rectsOf_ = function(other) {
+  return other instanceof Region ? other.rects_ : [Rect.coerce(other)];
+};
+
+
+/**
+ * Combines two sets of rectangles into a banded list of rectangles covering
+ * the points for which {@code op} is true.
+ * @param {!Array.<!Rect>} a First set of possibly overlapping rectangles.
+ * @param {!Array.<!Rect>} b Second set of possibly overlapping rectangles.
+ * @param {function(boolean, boolean): boolean} op Decides whether a point is
+ *     in the result given whether it is in {@code a} and in {@code b}.
+ * @return {!Array.<!Rect>} The resulting banded rectangles.
+ * @private
+ */
+Region.combine_ = function(a, b, op) {
+  a = a.filter(Region.hasArea_);
+  b = b.filter(Region.hasArea_);
+
+  var ys = [];
+  a.concat(b).forEach(function(rect) {
+    ys.push(rect.top, rect.top + rect.height);
+  });
+  ys = Region.sortUnique_(ys);
+
+  var bands = [];
+  for (var i = 0; i < ys.length - 1; i++) {
+    var top = ys[i];
+    var bottom = ys[i + 1];
+    var xs = Region.combineSpans_(Region.spans_(a, top, bottom),
+                                  Region.spans_(b, top, bottom), op);
+    if (!xs.length) {
+      continue;
+    }
+    var last = bands[bands.length - 1];
+    if (last && last.bottom == top && last.xs.join() == xs.join()) {
+      last.bottom = bottom;
+    } else {
+      bands.push({top: top, bottom: bottom, xs: xs});
+    }
+  }
+
+  var result = [];
+  bands.forEach(function(band) {
+    for (var i = 0; i < band.xs.length; i += 2) {
+      result.push(new Rect(band.xs[i], band.top, band.xs[i + 1] - band.xs[i],
+                           band.bottom - band.top));
+    }
+  });
+  return result;
+};
+
+
+/**
+ * Returns the horizontal spans covered by rectangles within a band.
+ * @param {!Array.<!Rect>} rects Rectangles.
+ * @param {number} top Top of the band.
+ * @param {number} bottom Bottom of the band.
+ * @return {!Array.<number>} Flat list of sorted, disjoint [left, right)
+ *     pairs.
+ * @private
+ */
+Region.spans_ = function(rects, top, bottom) {
+  var spans = rects.filter(function(rect) {
+    return rect.top <= top && rect.top + rect.height >= bottom;
+  }).sort(function(x, y) {
+    return x.left - y.left;
+  });
+  var result = [];
+  spans.forEach(function(rect) {
+    var right = rect.left + rect.width;
+    if (result.length && rect.left <= result[result.length - 1]) {
+      result[result.length - 1] = Math.max(result[result.length - 1], right);
+    } else {
+      result.push(rect.left, right);
+    }
+  });
+  return result;
+};
+
+
+/**
+ * Combines two lists of spans.
+ * @param {!Array.<number>} a Flat list of [left, right) pairs.
+ * @param {!Array.<number>} b Flat list of [left, right) pairs.
+ * @param {function(boolean, boolean): boolean} op Decides whether a point is
+ *     in the result given whether it is in {@code a} and in {@code b}.
+ * @return {!Array.<number>} Flat list of the resulting pairs.
+ * @private
+ */
+Region.combineSpans_ = function(a, b, op) {
+  var xs = Region.sortUnique_(a.concat(b));
+  var result = [];
+  for (var i = 0; i < xs.length - 1; i++) {
+    var x = (xs[i] + xs[i + 1]) / 2;
+    if (!op(Region.inSpans_(a, x), Region.inSpans_(b, x))) {
+      continue;
+    }
+    if (result.length && result[result.length - 1] == xs[i]) {
+      result[result.length - 1] = xs[i + 1];
+    } else {
+      result.push(xs[i], xs[i + 1]);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * @param {!Array.<number>} spans Flat list of [left, right) pairs.
+ * @param {number} x A value.
+ * @return {boolean} Whether one of the spans contains {@code x}.
+ * @private
+ */
+Region.inSpans_ = function(spans, x) {
+  for (var i = 0; i < spans.length; i += 2) {
+    if (spans[i] <= x && x < spans[i + 1]) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {!Array.<number>} values Numbers.
+ * @return {!Array.<number>} The distinct numbers in increasing order.
+ * @private
+ */
+Region.sortUnique_ = function(values) {
+  return values.sort(function(x, y) {
+    return x - y;
+  }).filter(function(value, i, sorted) {
+    return !i || value != sorted[i - 1];
+  });
+};
+
+
+/**
+ * @param {!Rect} rect A rectangle.
+ * @return {boolean} Whether the rectangle has a positive area.
+ * @private
+ */
+Region.hasArea_ = function(rect) {
+  return rect.width > 0 && rect.height > 0;
+};
+
+
+/**
+ * Tests whether rectangles cover a rectangle without area, which is a
+ * vertical or horizontal segment or a point, edges included. Such rectangles
+ * are dropped by {@code Region.combine_}.
+ * @param {!Array.<!Rect>} rects Rectangles.
+ * @param {!Rect} segment A rectangle without area.
+ * @return {boolean} Whether every point of {@code segment} is in one of
+ *     {@code rects}.
+ * @private
+ */
+Region.coversSegment_ = function(rects, segment) {
+  var vertical = !(segment.width > 0);
+  var start = vertical ? segment.top : segment.left;
+  var end = start + Math.max(0, vertical ? segment.height : segment.width);
+  var intervals = rects.filter(function(rect) {
+    return vertical ?
+        rect.left <= segment.left && segment.left <= rect.left + rect.width :
+        rect.top <= segment.top && segment.top <= rect.top + rect.height;
+  }).map(function(rect) {
+    return vertical ? [rect.top, rect.top + rect.height] :
+        [rect.left, rect.left + rect.width];
+  }).sort(function(a, b) {
+    return a[0] - b[0];
+  });
+
+  // Extend the covered part from the start while the intervals touch it.
+  var covered = false;
+  for (var i = 0; i < intervals.length && intervals[i][0] <= start; i++) {
+    if (intervals[i][1] >= start) {
+      covered = true;
+      start = intervals[i][1];
+    }
+  }
+  return covered && start >= end;
+};
+
+
+/**
+ * @param {boolean} a In the first operand.
+ * @param {boolean} b In the second operand.
+ * @return {boolean} In the union.
+ * @private
+ */
+Region.or_ = function(a, b) {
+  return a || b;
+};
+
+
+/**
+ * @param {boolean} a In the first operand.
+ * @param {boolean} b In the second operand.
+ * @return {boolean} In the intersection.
+ * @private
+ */
+Region.and_ = function(a, b) {
+  return a && b;
+};
+
+
+/**
+ * @param {boolean} a In the first operand.
+ * @param {boolean} b In the second operand.
+ * @return {boolean} In the difference.
+ * @private
+ */
+Region.andNot_ = function(a, b) {
+  return a && !b;
+};
+
+
+/**
+ * @param {boolean} a In the first operand.
+ * @param {boolean} b In the second operand.
+ * @return {boolean} In the symmetric difference.
+ * @private
+ */
+Region.xor_ = function(a, b) {
+  return a != b;
+};
+
+module.exports = Region;
@@ -0,0 +1,711 @@
+// Based on the R*-tree split heuristics and the OMT bulk loading algorithm, see
+// http://www.cs.ucr.edu/~tsotras/cs236/W15/R-star.pdf
+// http://ceur-ws.org/Vol-74/files/FORUM_18.pdf
+
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Rect = require('./rect');
+
+/**
+ * Spatial index of rectangles with attached items, for fast lookup of the
+ * items intersecting a rectangle, containing a coordinate or nearest to a
+ * coordinate.
+ * @param {number=} opt_maxEntries Maximum number of children of a node,
+ *     defaults to 9. Higher values make insertion faster and queries slower.
+ * @constructor
+ */
+var RTree = function(opt_maxEntries) {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.maxEntries_ = Math.max(4, opt_maxEntries || 9);
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.minEntries_ = Math.max(2, Math.ceil(this.maxEntries_ * 0.4));
+
+  this.clear();
+};
+
+
+/**
+ * Removes all items from the tree.
+ * @return {!RTree} This tree.
+ */
+RTree.prototype.clear = function() {
+  /**
+   * @type {!Object}
+   * @private
+   */
+  this.root_ = RTree.createNode_([]);
+  return this;
+};
+
+
+/**
+ * Adds an item to the tree.
+ * @param {Rect.RectLike} rect The area occupied by the item.
+ * @param {*} item The item to store.
+ * @return {!RTree} This tree.
+ */
+RTree.prototype.insert = function(rect, item) {
+  this.insertEntry_(RTree.createEntry_(rect, item), this.root_.height - 1);
+  return this;
+};
+
+
+/**
+ * Adds many items to the tree at once. This is much faster than inserting
+ * them one by one, and the resulting tree is faster to query, so rebuilding
+ * the tree from scratch is usually cheaper than updating many of its items.
+ * @param {!Array.<{rect: Rect.RectLike, item: *}>} entries The items to store
+ *     together with the area they occupy.
+ * @return {!RTree} This tree.
+ */
+RTree.prototype.load = function(entries) {
+  entries = entries.map(function(entry) {
+    return RTree.createEntry_(entry.rect, entry.item);
+  });
+  if (entries.length < this.minEntries_) {
+    entries.forEach(function(entry) {
+      this.insertEntry_(entry, this.root_.height - 1);
+    }, this);
+    return this;
+  }
+
+  var node = this.build_(entries, 0, entries.length - 1, 0);
+  if (!this.root_.children.length) {
+    this.root_ = node;
+  } else if (this.root_.height == node.height) {
+    this.splitRoot_(this.root_, node);
+  } else {
+    if (this.root_.height < node.height) {
+      var tmp = this.root_;
+      this.root_ = node;
+      node = tmp;
+    }
+    this.insertEntry_(node, this.root_.height - node.height - 1);
+  }
+  return this;
+};
+
+
+/**
+ * Removes an item from the tree.
+ * @param {*} item The item to remove.
+ * @param {Rect.RectLike=} opt_rect The area the item was stored with. Removal
+ *     is much faster when given.
+ * @return {boolean} Whether the item was found and removed.
+ */
+RTree.prototype.remove = function(item, opt_rect) {
+  var box = opt_rect ? Rect.coerce(opt_rect).toBox() : null;
+  var path = [];
+  if (!this.removeFrom_(this.root_, item, box, path)) {
+    return false;
+  }
+  this.condense_(path);
+  return true;
+};
+
+
+/**
+ * Moves an item to a new area.
+ * @param {*} item The item to move.
+ * @param {Rect.RectLike} rect The new area occupied by the item.
+ * @param {Rect.RectLike=} opt_oldRect The area the item was stored with.
+ *     Updating is much faster when given.
+ * @return {!RTree} This tree.
+ */
+RTree.prototype.update = function(item, rect, opt_oldRect) {
+  this.remove(item, opt_oldRect);
+  return this.insert(rect, item);
+};
+
+
+/**
+ * @return {!Array.<*>} All items in the tree.
+ */
+RTree.prototype.all = function() {
+  return RTree.collect_(this.root_, []);
+};
+
+
+/**
+ * Returns the items whose area intersects a rectangle. As with
+ * {@code Rect.intersects}, touching areas intersect.
+ * @param {Rect.RectLike} rect The rectangle to search.
+ * @return {!Array.<*>} The intersecting items.
+ */
+RTree.prototype.search = function(rect) {
+  var box = Rect.coerce(rect).toBox();
+  var result = [];
+  var stack = [this.root_];
+  while (stack.length) {
+    var node = stack.pop();
+    if (!Box.intersects(node.box, box)) {
+      continue;
+    }
+    if (Box.contains(box, node.box)) {
+      RTree.collect_(node, result);
+    } else if (node.leaf) {
+      node.children.forEach(function(entry) {
+        if (Box.intersects(entry.box, box)) {
+          result.push(entry.item);
+        }
+      });
+    } else {
+      stack.push.apply(stack, node.children);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Returns the items whose area contains a coordinate, including its edges.
+ * @param {Coordinate.PointLike} coordinate The coordinate to search.
+ * @return {!Array.<*>} The items containing the coordinate.
+ */
+RTree.prototype.searchCoordinate = function(coordinate) {
+  coordinate = Coordinate.coerce(coordinate);
+  var result = [];
+  var stack = [this.root_];
+  while (stack.length) {
+    var node = stack.pop();
+    if (!Box.contains(node.box, coordinate)) {
+      continue;
+    }
+    if (node.leaf) {
+      node.children.forEach(function(entry) {
+        if (Box.contains(entry.box, coordinate)) {
+          result.push(entry.item);
+        }
+      });
+    } else {
+      stack.push.apply(stack, node.children);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Returns the items nearest to a coordinate, measured with
+ * {@code Box.distance}, so all items containing the coordinate are at
+ * distance zero.
+ * @param {Coordinate.PointLike} coordinate The coordinate to search from.
+ * @param {number=} opt_k The number of items to return, defaults to 1.
+ * @param {number=} opt_maxDistance Items further away are not returned.
+ * @return {!Array.<*>} Up to {@code opt_k} items, nearest first.
+ */
+RTree.prototype.nearest = function(coordinate, opt_k, opt_maxDistance) {
+  coordinate = Coordinate.coerce(coordinate);
+  var k = opt_k || 1;
+  var maxDistance = opt_maxDistance === undefined ?
+      Infinity : opt_maxDistance;
+  var result = [];
+  // Nodes and entries ordered by their distance. An entry popped off the queue
+  // is at least as near as anything left in it.
+  var queue = [];
+  var node = this.root_;
+  while (node) {
+    node.children.forEach(function(child) {
+      var distance = Box.distance(child.box, coordinate);
+      if (distance <= maxDistance) {
+        RTree.heapPush_(queue, {distance: distance, child: child,
+                                isEntry: node.leaf});
+      }
+    });
+    node = null;
+    while (queue.length) {
+      var next = RTree.heapPop_(queue);
+      if (!next.isEntry) {
+        node = next.child;
+        break;
+      }
+      result.push(next.child.item);
+      if (result.length == k) {
+        return result;
+      }
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Inserts an entry or a node at the given level.
+ * @param {!Object} entry The entry or node to insert.
+ * @param {number} level Level of the node to insert into, counted from the
+ *     root.
+ * @private
+ */
+RTree.prototype.insertEntry_ = function(entry, level) {
+  var path = [];
+  var node = this.chooseSubtree_(entry.box, level, path);
+  node.children.push(entry);
+  node.box.expandToInclude(entry.box);
+
+  // Split overflowing nodes, going up as long as needed.
+  while (level >= 0 && path[level].children.length > this.maxEntries_) {
+    this.split_(path, level);
+    level--;
+  }
+  for (var i = level; i >= 0; i--) {
+    path[i].box.expandToInclude(entry.box);
+  }
+};
+
+
+/**
+ * Finds the node at the given level whose area grows the least when the box
+ * is added to it.
+ * @param {!Box} box The box to insert.
+ * @param {number} level Level of the node to find.
+ * @param {!Array.<!Object>} path Receives the nodes from the root to the
+ *     result.
+ * @return {!Object} The node to insert into.
+ * @private
+ */
+RTree.prototype.chooseSubtree_ = function(box, level, path) {
+  var node = this.root_;
+  while (true) {
+    path.push(node);
+    if (node.leaf || path.length - 1 == level) {
+      return node;
+    }
+    var minArea = Infinity;
+    var minEnlargement = Infinity;
+    var target = node.children[0];
+    node.children.forEach(function(child) {
+      var area = child.box.area();
+      var enlargement = RTree.enlargedArea_(box, child.box) - area;
+      if (enlargement < minEnlargement ||
+          enlargement == minEnlargement && area < minArea) {
+        minEnlargement = enlargement;
+        minArea = area;
+        target = child;
+      }
+    });
+    node = target;
+  }
+};
+
+
+/**
+ * Splits the overflowing node at the given level of the path in two.
+ * @param {!Array.<!Object>} path Nodes from the root.
+ * @param {number} level Level of the node to split.
+ * @private
+ */
+RTree.prototype.split_ = function(path, level) {
+  var node = path[level];
+  var count = node.children.length;
+  var m = this.minEntries_;
+
+  RTree.chooseSplitAxis_(node, m, count);
+  var index = RTree.chooseSplitIndex_(node, m, count);
+
+  var newNode = RTree.createNode_(node.children.splice(index, count - index));
+  newNode.height = node.height;
+  newNode.leaf = node.leaf;
+  RTree.calculateBox_(node);
+
+  if (level) {
+    path[level - 1].children.push(newNode);
+  } else {
+    this.splitRoot_(node, newNode);
+  }
+};
+
+
+/**
+ * Makes a new root above two nodes.
+ * @param {!Object} node The old root.
+ * @param {!Object} newNode Its new sibling.
+ * @private
+ */
+RTree.prototype.splitRoot_ = function(node, newNode) {
+  this.root_ = RTree.createNode_([node, newNode]);
+  this.root_.height = node.height + 1;
+  this.root_.leaf = false;
+};
+
+
+/**
+ * Builds a tree of the given entries with the OMT algorithm.
+ * @param {!Array.<!Object>} entries Entries, reordered in place.
+ * @param {number} left Index of the first entry to use.
+ * @param {number} right Index of the last entry to use.
+ * @param {number} height Height of the node to build, 0 for the root.
+ * @return {!Object} The root of the new tree.
+ * @private
+ */
+RTree.prototype.build_ = function(entries, left, right, height) {
+  var n = right - left + 1;
+  var m = this.maxEntries_;
+  if (n <= m) {
+    return RTree.createNode_(entries.slice(left, right + 1));
+  }
+  if (!height) {
+    // Target height of the bulk-loaded tree and the number of root entries to
+    // maximize storage utilization.
+    height = Math.ceil(Math.log(n) / Math.log(m));
+    m = Math.ceil(n / Math.pow(m, height - 1));
+  }
+
+  var node = RTree.createNode_([]);
+  node.leaf = false;
+  node.height = height;
+
+  // Split the entries into vertical slices, and then each slice into nodes.
+  var n2 = Math.ceil(n / m);
+  var n1 = n2 * Math.ceil(Math.sqrt(m));
+  RTree.sortRange_(entries, left, right, RTree.compareLeft_);
+  for (var i = left; i <= right; i += n1) {
+    var right2 = Math.min(i + n1 - 1, right);
+    RTree.sortRange_(entries, i, right2, RTree.compareTop_);
+    for (var j = i; j <= right2; j += n2) {
+      var right3 = Math.min(j + n2 - 1, right2);
+      node.children.push(this.build_(entries, j, right3, height - 1));
+    }
+  }
+  RTree.calculateBox_(node);
+  return node;
+};
+
+
+/**
+ * Finds and removes an item under the given node.
+ * @param {!Object} node The node to search.
+ * @param {*} item The item to remove.
+ * @param {Box} box The box the item was stored with, if known.
+ * @param {!Array.<!Object>} path Receives the nodes from the root to the leaf
+ *     which held the item.
+ * @return {boolean} Whether the item was found.
+ * @private
+ */
+RTree.prototype.removeFrom_ = function(node, item, box, path) {
+  path.push(node);
+  if (node.leaf) {
+    for (var i = 0; i < node.children.length; i++) {
+      if (node.children[i].item === item) {
+        node.children.splice(i, 1);
+        return true;
+      }
+    }
+  } else {
+    for (i = 0; i < node.children.length; i++) {
+      var child = node.children[i];
+      if ((!box || Box.contains(child.box, box)) &&
+          this.removeFrom_(child, item, box, path)) {
+        return true;
+      }
+    }
+  }
+  path.pop();
+  return false;
+};
+
+
+/**
+ * Removes empty nodes and shrinks the boxes along a path after removal.
+ * @param {!Array.<!Object>} path Nodes from the root.
+ * @private
+ */
+RTree.prototype.condense_ = function(path) {
+  for (var i = path.length - 1; i >= 0; i--) {
+    if (path[i].children.length) {
+      RTree.calculateBox_(path[i]);
+    } else if (i > 0) {
+      var siblings = path[i - 1].children;
+      siblings.splice(siblings.indexOf(path[i]), 1);
+    } else {
+      this.clear();
+    }
+  }
+};
+
+
+/**
+ * @param {!Array.<!Object>} children Child nodes or entries.
+ * @return {!Object} A new leaf node.
+ * @private
+ */
+RTree.createNode_ = function(children) {
+  var node = {
+    children: children,
+    height: 1,
+    leaf: true,
+    box: null
+  };
+  RTree.calculateBox_(node);
+  return node;
+};
+
+
+/**
+ * @param {Rect.RectLike} rect The area occupied by the item.
+ * @param {*} item The item.
+ * @return {!Object} A new entry.
+ * @private
+ */
+RTree.createEntry_ = function(rect, item) {
+  return {box: Rect.coerce(rect).toBox(), item: item};
+};
+
+
+/**
+ * Sets the box of a node to bound all its children.
+ * @param {!Object} node The node.
+ * @private
+ */
+RTree.calculateBox_ = function(node) {
+  node.box = new Box(Infinity, -Infinity, -Infinity, Infinity);
+  node.children.forEach(function(child) {
+    node.box.expandToInclude(child.box);
+  });
+};
+
+
+/**
+ * Adds all items under a node to an array.
+ * @param {!Object} node The node.
+ * @param {!Array.<*>} result The array to add to.
+ * @return {!Array.<*>} The result array.
+ * @private
+ */
+RTree.collect_ = function(node, result) {
+  var stack = [node];
+  while (stack.length) {
+    node = stack.pop();
+    if (node.leaf) {
+      node.children.forEach(function(entry) {
+        result.push(entry.item);
+      });
+    } else {
+      stack.push.apply(stack, node.children);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Sorts the children of an overflowing node along the axis which gives the
+ * smallest total perimeter of all possible splits.
+ * @param {!Object} node The node.
+ * @param {number} m Minimum number of children in each half.
+ * @param {number} count Number of children.
+ * @private
+ */
+RTree.chooseSplitAxis_ = function(node, m, count) {
+  var xMargin = RTree.allDistributionsMargin_(node, m, count,
+                                              RTree.compareLeft_);
+  var yMargin = RTree.allDistributionsMargin_(node, m, count,
+                                              RTree.compareTop_);
+  // The children are sorted by top now, sort them back if x is better.
+  if (xMargin < yMargin) {
+    node.children.sort(RTree.compareLeft_);
+  }
+};
+
+
+/**
+ * @param {!Object} node The node.
+ * @param {number} m Minimum number of children in each half.
+ * @param {number} count Number of children.
+ * @param {function(!Object, !Object): number} compare Sort order.
+ * @return {number} Total perimeter of all splits of the sorted children.
+ * @private
+ */
+RTree.allDistributionsMargin_ = function(node, m, count, compare) {
+  node.children.sort(compare);
+  var left = RTree.distributionBox_(node, 0, m);
+  var right = RTree.distributionBox_(node, count - m, count);
+  var margin = RTree.margin_(left) + RTree.margin_(right);
+  for (var i = m; i < count - m; i++) {
+    left.expandToInclude(node.children[i].box);
+    margin += RTree.margin_(left);
+  }
+  for (i = count - m - 1; i >= m; i--) {
+    right.expandToInclude(node.children[i].box);
+    margin += RTree.margin_(right);
+  }
+  return margin;
+};
+
+
+/**
+ * Finds the split of the sorted children with the least overlap, or the least
+ * area when the overlap is the same.
+ * @param {!Object} node The node.
+ * @param {number} m Minimum number of children in each half.
+ * @param {number} count Number of children.
+ * @return {number} Index of the first child of the second half.
+ * @private
+ */
+RTree.chooseSplitIndex_ = function(node, m, count) {
+  var index = count - m;
+  var minOverlap = Infinity;
+  var minArea = Infinity;
+  for (var i = m; i <= count - m; i++) {
+    var box1 = RTree.distributionBox_(node, 0, i);
+    var box2 = RTree.distributionBox_(node, i, count);
+    var overlap = RTree.intersectionArea_(box1, box2);
+    var area = box1.area() + box2.area();
+    if (overlap < minOverlap || overlap == minOverlap && area < minArea) {
+      minOverlap = overlap;
+      minArea = area;
+      index = i;
+    }
+  }
+  return index;
+};
+
+
+/**
+ * @param {!Object} node The node.
+ * @param {number} from Index of the first child.
+ * @param {number} to Index after the last child.
+ * @return {!Box} A new box bounding the children in the range.
+ * @private
+ */
+RTree.distributionBox_ = function(node, from, to) {
+  var box = new Box(Infinity, -Infinity, -Infinity, Infinity);
+  for (var i = from; i < to; i++) {
+    box.expandToInclude(node.children[i].box);
+  }
+  return box;
+};
+
+
+/**
+ * @param {!Box} a A box.
+ * @param {!Box} b A box.
+ * @return {number} Area of the box bounding both boxes.
+ * @private
+ */
+RTree.enlargedArea_ = function(a, b) {
+  return (Math.max(b.right, a.right) - Math.min(b.left, a.left)) *
+         (Math.max(b.bottom, a.bottom) - Math.min(b.top, a.top));
+};
+
+
+/**
+ * @param {!Box} a A box.
+ * @param {!Box} b A box.
+ * @return {number} Area of the intersection of both boxes.
+ * @private
+ */
+RTree.intersectionArea_ = function(a, b) {
+  var width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+  var height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+  return Math.max(0, width) * Math.max(0, height);
+};
+
+
+/**
+ * @param {!Box} box A box.
+ * @return {number} Half the perimeter of the box.
+ * @private
+ */
+RTree.margin_ = function(box) {
+  return (box.right - box.left) + (box.bottom - box.top);
+};
+
+
+/**
+ * @param {!Object} a A node or entry.
+ * @param {!Object} b A node or entry.
+ * @return {number} Order by the left edge.
+ * @private
+ */
+RTree.compareLeft_ = function(a, b) {
+  return a.box.left - b.box.left;
+};
+
+
+/**
+ * @param {!Object} a A node or entry.
+ * @param {!Object} b A node or entry.
+ * @return {number} Order by the top edge.
+ * @private
+ */
+RTree.compareTop_ = function(a, b) {
+  return a.box.top - b.box.top;
+};
+
+
+/**
+ * Sorts a part of an array in place.
+ * @param {!Array} array The array.
+ * @param {number} left Index of the first element to sort.
+ * @param {number} right Index of the last element to sort.
+ * @param {function(*, *): number} compare Sort order.
+ * @private
+ */
+RTree.sortRange_ = function(array, left, right, compare) {
+  var sorted = array.slice(left, right + 1).sort(compare);
+  for (var i = 0; i < sorted.length; i++) {
+    array[left + i] = sorted[i];
+  }
+};
+
+
+/**
+ * Adds an element to a binary min-heap ordered by distance.
+ * @param {!Array.<{distance: number}>} heap The heap.
+ * @param {{distance: number}} element The element to add.
+ * @private
+ */
+RTree.heapPush_ = function(heap, element) {
+  var i = heap.length;
+  heap.push(element);
+  while (i > 0) {
+    var parent = (i - 1) >> 1;
+    if (heap[parent].distance <= element.distance) {
+      break;
+    }
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = element;
+};
+
+
+/**
+ * Removes the element with the smallest distance from a binary min-heap.
+ * @param {!Array.<{distance: number}>} heap The heap.
+ * @return {{distance: number}} The removed element.
+ * @private
+ */
+RTree.heapPop_ = function(heap) {
+  var top = heap[0];
+  var last = heap.pop();
+  if (heap.length) {
+    var i = 0;
+    while (true) {
+      var child = 2 * i + 1;
+      if (child >= heap.length) {
+        break;
+      }
+      if (child + 1 < heap.length &&
+          heap[child + 1].distance < heap[child].distance) {
+        child++;
+      }
+      if (heap[child].distance >= last.distance) {
+        break;
+      }
+      heap[i] = heap[child];
+      i = child;
+    }
+    heap[i] = last;
+  }
+  return top;
+};
+
+module.exports = RTree;
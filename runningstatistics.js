@@ -0,0 +1,407 @@
+// Based on Welford's online algorithm and its parallel variant by Chan et al.,
+// see http://en.wikipedia.org/wiki/Algorithms_for_calculating_variance
+
+var XMath = require('./math');
+
+/**
+ * Accumulator of the count, mean, variance, minimum and maximum of a stream of
+ * numbers, using constant memory and without needing the numbers up front.
+ * It can be limited to the latest numbers pushed, and can also track an
+ * exponentially weighted moving average.
+ * @param {number=} opt_windowSize If given, the statistics only describe this
+ *     many of the latest numbers pushed. Memory then grows with the window.
+ * @param {number=} opt_alpha The smoothing factor of the exponentially
+ *     weighted moving average, from 0 exclusive to 1. Higher values discount
+ *     older numbers faster. The average is only tracked when given.
+ * @constructor
+ */
+var RunningStatistics = function(opt_windowSize, opt_alpha) {
+  if (opt_windowSize !== undefined &&
+      !(XMath.isInt(opt_windowSize) && opt_windowSize > 0)) {
+    throw Error('Window size must be a positive integer, got ' +
+        opt_windowSize);
+  }
+  if (opt_alpha !== undefined && !(opt_alpha > 0 && opt_alpha <= 1)) {
+    throw Error('Smoothing factor must be in (0, 1], got ' + opt_alpha);
+  }
+
+  /**
+   * @type {number|undefined}
+   * @private
+   */
+  this.windowSize_ = opt_windowSize;
+
+  /**
+   * @type {number|undefined}
+   * @private
+   */
+  this.alpha_ = opt_alpha;
+
+  this.clear();
+};
+
+
+/**
+ * Removes all numbers from the accumulator.
+ * @return {!RunningStatistics} This accumulator.
+ */
+RunningStatistics.prototype.clear = function() {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.count_ = 0;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.mean_ = 0;
+
+  /**
+   * Sum of the squared differences from the mean.
+   * @type {number}
+   * @private
+   */
+  this.m2_ = 0;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.min_ = NaN;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.max_ = NaN;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.ewma_ = NaN;
+
+  /**
+   * Number of values pushed since clearing, used to order window entries.
+   * @type {number}
+   * @private
+   */
+  this.pushed_ = 0;
+
+  /**
+   * The numbers in the window, oldest first.
+   * @type {{items: !Array.<number>, head: number}}
+   * @private
+   */
+  this.window_ = {items: [], head: 0};
+
+  /**
+   * Entries of the window which can still become its minimum, in increasing
+   * order of both their value and position.
+   * @type {{items: !Array.<{index: number, value: number}>, head: number}}
+   * @private
+   */
+  this.minQueue_ = {items: [], head: 0};
+
+  /**
+   * Entries of the window which can still become its maximum, in decreasing
+   * order of value and increasing order of position.
+   * @type {{items: !Array.<{index: number, value: number}>, head: number}}
+   * @private
+   */
+  this.maxQueue_ = {items: [], head: 0};
+  return this;
+};
+
+
+/**
+ * Adds numbers to the accumulator. In rolling mode, the oldest numbers are
+ * dropped once the window is full.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {!RunningStatistics} This accumulator.
+ */
+RunningStatistics.prototype.push = function(var_args) {
+  var values = arguments.length == 1 && Array.isArray(var_args) ?
+      var_args : arguments;
+  for (var i = 0; i < values.length; i++) {
+    this.pushValue_(values[i]);
+  }
+  return this;
+};
+
+
+/**
+ * Combines the statistics of another accumulator into this one, as if all
+ * numbers pushed to the other had also been pushed to this one. The moving
+ * average cannot be combined without the order of the numbers, so it is only
+ * taken from the other accumulator if this one is empty.
+ * @param {!RunningStatistics} other The other accumulator, it is not changed.
+ * @return {!RunningStatistics} This accumulator.
+ */
+RunningStatistics.prototype.merge = function(other) {
+  if (this.windowSize_ || other.windowSize_) {
+    throw Error('Rolling statistics cannot be merged');
+  }
+  if (!other.count_) {
+    return this;
+  }
+  if (!this.count_) {
+    this.ewma_ = other.ewma_;
+  }
+  var count = this.count_ + other.count_;
+  var delta = other.mean_ - this.mean_;
+  this.mean_ += delta * other.count_ / count;
+  this.m2_ += other.m2_ + delta * delta * this.count_ * other.count_ / count;
+  this.count_ = count;
+  this.min_ = isNaN(this.min_) ? other.min_ : Math.min(this.min_, other.min_);
+  this.max_ = isNaN(this.max_) ? other.max_ : Math.max(this.max_, other.max_);
+  this.pushed_ += other.pushed_;
+  return this;
+};
+
+
+/**
+ * @return {!RunningStatistics} A new copy of the accumulator.
+ */
+RunningStatistics.prototype.clone = function() {
+  var clone = new RunningStatistics(this.windowSize_, this.alpha_);
+  clone.count_ = this.count_;
+  clone.mean_ = this.mean_;
+  clone.m2_ = this.m2_;
+  clone.min_ = this.min_;
+  clone.max_ = this.max_;
+  clone.ewma_ = this.ewma_;
+  clone.pushed_ = this.pushed_;
+  clone.window_ = RunningStatistics.cloneQueue_(this.window_);
+  clone.minQueue_ = RunningStatistics.cloneQueue_(this.minQueue_);
+  clone.maxQueue_ = RunningStatistics.cloneQueue_(this.maxQueue_);
+  return clone;
+};
+
+
+/**
+ * @return {number} The number of numbers described, at most the window size
+ *     in rolling mode.
+ */
+RunningStatistics.prototype.getCount = function() {
+  return this.count_;
+};
+
+
+/**
+ * @return {number} The arithmetic mean, or {@code NaN} if empty.
+ */
+RunningStatistics.prototype.getMean = function() {
+  return this.count_ ? this.mean_ : NaN;
+};
+
+
+/**
+ * @return {number} The sum of the numbers described.
+ */
+RunningStatistics.prototype.getSum = function() {
+  return this.mean_ * this.count_;
+};
+
+
+/**
+ * @return {number} The sample variance, 0 if fewer than two numbers are
+ *     described, as for {@code XMath.standardDeviation}.
+ */
+RunningStatistics.prototype.getVariance = function() {
+  return this.count_ < 2 ? 0 : this.m2_ / (this.count_ - 1);
+};
+
+
+/**
+ * @return {number} The population variance, or {@code NaN} if empty.
+ */
+RunningStatistics.prototype.getPopulationVariance = function() {
+  return this.count_ ? this.m2_ / this.count_ : NaN;
+};
+
+
+/**
+ * @return {number} The sample standard deviation, 0 if fewer than two
+ *     numbers are described.
+ */
+RunningStatistics.prototype.getStandardDeviation = function() {
+  return Math.sqrt(this.getVariance());
+};
+
+
+/**
+ * @return {number} The population standard deviation, or {@code NaN} if
+ *     empty.
+ */
+RunningStatistics.prototype.getPopulationStandardDeviation = function() {
+  return Math.sqrt(this.getPopulationVariance());
+};
+
+
+/**
+ * @return {number} The smallest number, or {@code NaN} if empty.
+ */
+RunningStatistics.prototype.getMin = function() {
+  return this.windowSize_ ?
+      RunningStatistics.firstValue_(this.minQueue_) : this.min_;
+};
+
+
+/**
+ * @return {number} The largest number, or {@code NaN} if empty.
+ */
+RunningStatistics.prototype.getMax = function() {
+  return this.windowSize_ ?
+      RunningStatistics.firstValue_(this.maxQueue_) : this.max_;
+};
+
+
+/**
+ * Returns the exponentially weighted moving average of all numbers pushed,
+ * regardless of the window. It starts at the first number pushed.
+ * @return {number} The moving average, or {@code NaN} if empty or if no
+ *     smoothing factor was given.
+ */
+RunningStatistics.prototype.getExponentialMovingAverage = function() {
+  return this.ewma_;
+};
+
+
+/**
+ * Returns a nice string representing the statistics.
+ * @return {string} In the form {count: 3, mean: 2, sd: 1, min: 1, max: 3}.
+ * @override
+ */
+RunningStatistics.prototype.toString = function() {
+  return '{count: ' + this.getCount() + ', mean: ' + this.getMean() +
+         ', sd: ' + this.getStandardDeviation() + ', min: ' + this.getMin() +
+         ', max: ' + this.getMax() + '}';
+};
+
+
+/**
+ * @param {number} value A number to add.
+ * @private
+ */
+RunningStatistics.prototype.pushValue_ = function(value) {
+  if (this.alpha_) {
+    this.ewma_ = isNaN(this.ewma_) ?
+        value : this.ewma_ + this.alpha_ * (value - this.ewma_);
+  }
+
+  var index = this.pushed_++;
+  if (this.windowSize_) {
+    var values = this.window_;
+    values.items.push(value);
+    if (values.items.length - values.head > this.windowSize_) {
+      this.removeValue_(RunningStatistics.shift_(values));
+    }
+    RunningStatistics.pushQueue_(this.minQueue_, index, value, function(a, b) {
+      return a >= b;
+    });
+    RunningStatistics.pushQueue_(this.maxQueue_, index, value, function(a, b) {
+      return a <= b;
+    });
+    var oldest = index - this.windowSize_;
+    [this.minQueue_, this.maxQueue_].forEach(function(queue) {
+      if (queue.items[queue.head].index <= oldest) {
+        RunningStatistics.shift_(queue);
+      }
+    });
+  } else {
+    this.min_ = isNaN(this.min_) ? value : Math.min(this.min_, value);
+    this.max_ = isNaN(this.max_) ? value : Math.max(this.max_, value);
+  }
+
+  this.count_++;
+  var delta = value - this.mean_;
+  this.mean_ += delta / this.count_;
+  this.m2_ += delta * (value - this.mean_);
+};
+
+
+/**
+ * Undoes adding a number to the count, mean and variance.
+ * @param {number} value A number previously added.
+ * @private
+ */
+RunningStatistics.prototype.removeValue_ = function(value) {
+  this.count_--;
+  if (!this.count_) {
+    this.mean_ = 0;
+    this.m2_ = 0;
+    return;
+  }
+  var delta = value - this.mean_;
+  this.mean_ -= delta / this.count_;
+  // Rounding errors could make the sum slightly negative.
+  this.m2_ = Math.max(0, this.m2_ - delta * (value - this.mean_));
+};
+
+
+/**
+ * Adds an entry to a monotonic queue, dropping the entries which can no
+ * longer become its first entry.
+ * @param {{items: !Array.<{index: number, value: number}>, head: number}}
+ *     queue The queue.
+ * @param {number} index The position of the number in the stream.
+ * @param {number} value The number.
+ * @param {function(number, number): boolean} dominates Whether the second
+ *     number makes an older first number irrelevant.
+ * @private
+ */
+RunningStatistics.pushQueue_ = function(queue, index, value, dominates) {
+  var items = queue.items;
+  while (items.length > queue.head &&
+         dominates(items[items.length - 1].value, value)) {
+    items.pop();
+  }
+  items.push({index: index, value: value});
+};
+
+
+/**
+ * Removes the first entry of a queue. Removed entries are only dropped from
+ * the array once they make up half of it, so that removing takes constant
+ * amortized time rather than time proportional to the window size.
+ * @param {{items: !Array, head: number}} queue The queue.
+ * @return {*} The entry removed.
+ * @private
+ */
+RunningStatistics.shift_ = function(queue) {
+  var entry = queue.items[queue.head++];
+  if (queue.head * 2 >= queue.items.length) {
+    queue.items.splice(0, queue.head);
+    queue.head = 0;
+  }
+  return entry;
+};
+
+
+/**
+ * @param {{items: !Array.<{index: number, value: number}>, head: number}}
+ *     queue A monotonic queue.
+ * @return {number} The value of its first entry, or {@code NaN} if it is
+ *     empty.
+ * @private
+ */
+RunningStatistics.firstValue_ = function(queue) {
+  return queue.items.length > queue.head ?
+      queue.items[queue.head].value : NaN;
+};
+
+
+/**
+ * @param {{items: !Array, head: number}} queue A queue.
+ * @return {{items: !Array, head: number}} A new copy of the queue.
+ * @private
+ */
+RunningStatistics.cloneQueue_ = function(queue) {
+  return {items: queue.items.slice(queue.head), head: 0};
+};
+
+module.exports = RunningStatistics;
@@ -0,0 +1,259 @@
+/**
+ * Distance and similarity measures between two sequences, either arrays or
+ * strings. Like {@code XMath.longestCommonSubsequence}, they all accept a
+ * custom comparator of the elements, such as a case insensitive one.
+ */
+var Similarity = {};
+
+
+/**
+ * Costs of the edits counted by the edit distances. Missing costs are 1.
+ * @typedef {{insert: (number|undefined), delete: (number|undefined),
+ *     substitute: (number|undefined), transpose: (number|undefined)}}
+ */
+Similarity.Costs;
+
+
+/**
+ * Computes the Levenshtein distance between two sequences, the smallest total
+ * cost of insertions, deletions and substitutions turning the first into the
+ * second.
+ * http://en.wikipedia.org/wiki/Levenshtein_distance
+ *
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @param {Similarity.Costs=} opt_costs Costs of each kind of edit.
+ * @return {number} The distance, 0 for equal sequences.
+ */
+Similarity.levenshtein = function(a, b, opt_compareFn, opt_costs) {
+  return Similarity.editDistance_(a, b, opt_compareFn, opt_costs, false);
+};
+
+
+/**
+ * Computes the Damerau-Levenshtein distance between two sequences, which also
+ * counts swapping two adjacent elements as a single edit. This is the optimal
+ * string alignment variant, in which no element is edited twice, so for
+ * example "ca" and "abc" are 3 edits apart rather than 2.
+ * http://en.wikipedia.org/wiki/Damerau-Levenshtein_distance
+ *
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @param {Similarity.Costs=} opt_costs Costs of each kind of edit.
+ * @return {number} The distance, 0 for equal sequences.
+ */
+Similarity.damerauLevenshtein = function(a, b, opt_compareFn, opt_costs) {
+  return Similarity.editDistance_(a, b, opt_compareFn, opt_costs, true);
+};
+
+
+/**
+ * Computes the Hamming distance between two sequences of the same length, the
+ * number of positions holding different elements.
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @return {number} The distance, 0 for equal sequences.
+ */
+Similarity.hamming = function(a, b, opt_compareFn) {
+  if (a.length != b.length) {
+    throw Error('Hamming distance needs sequences of the same length, got ' +
+        a.length + ' and ' + b.length);
+  }
+  var compare = opt_compareFn || Similarity.defaultCompare_;
+  var distance = 0;
+  for (var i = 0; i < a.length; i++) {
+    if (!compare(a[i], b[i])) {
+      distance++;
+    }
+  }
+  return distance;
+};
+
+
+/**
+ * Computes the Jaro similarity of two sequences, based on the number of
+ * matching elements found near the same position in both, and how many of
+ * those are in a different order.
+ * http://en.wikipedia.org/wiki/Jaro-Winkler_distance
+ *
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @return {number} The similarity, from 0 for no matching elements to 1 for
+ *     equal sequences.
+ */
+Similarity.jaro = function(a, b, opt_compareFn) {
+  if (!a.length && !b.length) {
+    return 1;
+  }
+  var compare = opt_compareFn || Similarity.defaultCompare_;
+  var reach = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  var matchedA = [];
+  var matchedB = [];
+  var matches = 0;
+  for (var i = 0; i < a.length; i++) {
+    var end = Math.min(b.length, i + reach + 1);
+    for (var j = Math.max(0, i - reach); j < end; j++) {
+      if (!matchedB[j] && compare(a[i], b[j])) {
+        matchedA[i] = matchedB[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (!matches) {
+    return 0;
+  }
+
+  // Matching elements in a different order, counted from both sides.
+  var transpositions = 0;
+  for (i = 0, j = 0; i < a.length; i++) {
+    if (matchedA[i]) {
+      while (!matchedB[j]) {
+        j++;
+      }
+      if (!compare(a[i], b[j])) {
+        transpositions++;
+      }
+      j++;
+    }
+  }
+  return (matches / a.length + matches / b.length +
+          (matches - transpositions / 2) / matches) / 3;
+};
+
+
+/**
+ * Computes the Jaro-Winkler similarity of two sequences, the Jaro similarity
+ * raised for sequences sharing a prefix of up to four elements. This suits
+ * short strings such as names and identifiers, where typos tend to come late.
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @param {number=} opt_prefixScale How much a shared prefix raises the
+ *     similarity, from 0 to 0.25, defaults to 0.1.
+ * @return {number} The similarity, from 0 for no matching elements to 1 for
+ *     equal sequences.
+ */
+Similarity.jaroWinkler = function(a, b, opt_compareFn, opt_prefixScale) {
+  var scale = opt_prefixScale === undefined ? 0.1 : opt_prefixScale;
+  if (!(scale >= 0 && scale <= 0.25)) {
+    throw Error('Prefix scale must be between 0 and 0.25, got ' + scale);
+  }
+  var compare = opt_compareFn || Similarity.defaultCompare_;
+  var jaro = Similarity.jaro(a, b, compare);
+  var prefix = 0;
+  var maxPrefix = Math.min(4, a.length, b.length);
+  while (prefix < maxPrefix && compare(a[prefix], b[prefix])) {
+    prefix++;
+  }
+  return jaro + prefix * scale * (1 - jaro);
+};
+
+
+/**
+ * Finds the longest run of elements appearing in both sequences.
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function=} opt_compareFn Function that acts as a custom comparator
+ *     for the elements. Function should return true if elements are equal,
+ *     otherwise false.
+ * @return {{index1: number, index2: number, length: number}} Where the run
+ *     starts in each sequence and its length, the first run in {@code a} if
+ *     there are several. The length is 0 if no element is shared.
+ */
+Similarity.longestCommonSubstring = function(a, b, opt_compareFn) {
+  var compare = opt_compareFn || Similarity.defaultCompare_;
+  var best = {index1: 0, index2: 0, length: 0};
+  // Lengths of the common runs ending at the previous element of a and at
+  // each element of b.
+  var previous = [];
+  for (var i = 0; i < a.length; i++) {
+    var current = [];
+    for (var j = 0; j < b.length; j++) {
+      current[j] = compare(a[i], b[j]) ? (previous[j - 1] || 0) + 1 : 0;
+      if (current[j] > best.length) {
+        best = {
+          index1: i - current[j] + 1,
+          index2: j - current[j] + 1,
+          length: current[j]
+        };
+      }
+    }
+    previous = current;
+  }
+  return best;
+};
+
+
+/**
+ * Computes the Levenshtein distance, optionally also counting adjacent
+ * transpositions, keeping only the last three rows of the table.
+ * @param {!Array|string} a First sequence.
+ * @param {!Array|string} b Second sequence.
+ * @param {Function|undefined} compareFn Custom comparator of the elements.
+ * @param {Similarity.Costs|undefined} costs Costs of each kind of edit.
+ * @param {boolean} transpose Whether to count transpositions.
+ * @return {number} The distance.
+ * @private
+ */
+Similarity.editDistance_ = function(a, b, compareFn, costs, transpose) {
+  var compare = compareFn || Similarity.defaultCompare_;
+  costs = costs || {};
+  var insertCost = costs.insert === undefined ? 1 : costs.insert;
+  var deleteCost = costs.delete === undefined ? 1 : costs.delete;
+  var substituteCost = costs.substitute === undefined ? 1 : costs.substitute;
+  var transposeCost = costs.transpose === undefined ? 1 : costs.transpose;
+
+  // Distances from the first i - 2, i - 1 and i elements of a to the first j
+  // elements of b.
+  var beforePrevious = [];
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous[j] = j * insertCost;
+  }
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i * deleteCost];
+    for (j = 1; j <= b.length; j++) {
+      var distance = Math.min(
+          previous[j] + deleteCost,
+          current[j - 1] + insertCost,
+          previous[j - 1] +
+              (compare(a[i - 1], b[j - 1]) ? 0 : substituteCost));
+      if (transpose && i > 1 && j > 1 && compare(a[i - 1], b[j - 2]) &&
+          compare(a[i - 2], b[j - 1])) {
+        distance = Math.min(distance, beforePrevious[j - 2] + transposeCost);
+      }
+      current[j] = distance;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+
+/**
+ * @param {*} a An element.
+ * @param {*} b An element.
+ * @return {boolean} Whether the elements are equal.
+ * @private
+ */
+Similarity.defaultCompare_ = function(a, b) {
+  return a == b;
+};
+
+module.exports = Similarity;
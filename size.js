@@ -3,6 +3,7 @@
 
 var XMath = require('./math');
 var Coordinate = require('./coordinate');
+var Json = require('./json');
 
 /**
  * Class for representing sizes consisting of a width and height. Undefined
@@ -26,6 +27,54 @@ var Size = function(width, height) {
 };
 
 
+/**
+ * Values accepted wherever a Size is expected: a Size, any object with
+ * numeric width and height properties, or an array of two numbers
+ * [width, height].
+ * @typedef {Size|{width: number, height: number}|Array.<number>}
+ */
+Size.SizeLike;
+
+
+/**
+ * Returns whether a value can be used as a Size.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether {@code value} is size-like.
+ */
+Size.isSizeLike = function(value) {
+  if (value instanceof Size) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length == 2 &&
+        XMath.isNumber(value[0]) && XMath.isNumber(value[1]);
+  }
+  return !!value &&
+      XMath.isNumber(value.width) && XMath.isNumber(value.height);
+};
+
+
+/**
+ * Converts a size-like value to a Size.
+ * @param {Size.SizeLike} value The value to convert.
+ * @return {!Size} {@code value} itself if it is a Size, otherwise a new Size
+ *     with the same dimensions.
+ * @throws {TypeError} If {@code value} is not size-like.
+ */
+Size.coerce = function(value) {
+  if (value instanceof Size) {
+    return value;
+  }
+  if (!Size.isSizeLike(value)) {
+    throw new TypeError('Expected a size-like value ({width, height} or ' +
+        '[width, height]), got ' +
+        Json.describe(value));
+  }
+  return Array.isArray(value) ?
+      new Size(value[0], value[1]) : new Size(value.width, value.height);
+};
+
+
 /**
  * Compares sizes for equality.
  * @param {Size} a A Size.
@@ -37,9 +86,11 @@ Size.equals = function(a, b) {
   if (a == b) {
     return true;
   }
-  if (!a || !b) {
+  if (!Size.isSizeLike(a) || !Size.isSizeLike(b)) {
     return false;
   }
+  a = Size.coerce(a);
+  b = Size.coerce(b);
   return a.width == b.width && a.height == b.height;
 };
 
@@ -68,6 +119,7 @@ Size.prototype.toCoordinate = function() {
  * @return {!Size} A new Size initialized with the coordinate's position.
  */
 Size.createFromCoordinate = function(coordinate) {
+  coordinate = Coordinate.coerce(coordinate);
   return new Size(coordinate.x, coordinate.y);
 };
 
@@ -87,6 +139,37 @@ Size.prototype.toJSON = function() {
 };
 
 
+/**
+ * Creates a size from the output of {@code toJSON}.
+ * @param {*} json An array of two numbers [width, height].
+ * @return {!Size} A new Size.
+ * @throws {TypeError} If {@code json} is not in that form.
+ */
+Size.fromJSON = function(json) {
+  if (!Array.isArray(json) || json.length != 2 ||
+      !json.every(XMath.isNumber)) {
+    throw new TypeError('Expected [width, height], got ' +
+        Json.describe(json));
+  }
+  return new Size(json[0], json[1]);
+};
+
+
+/**
+ * Creates a size from the output of {@code toString}.
+ * @param {string} str A string in the form (50 x 73).
+ * @return {!Size} A new Size.
+ */
+Size.parse = function(str) {
+  var match = /^\s*\(([^x()]*)x([^x()]*)\)\s*$/.exec(str);
+  var values = match ? match.slice(1).map(XMath.parseNumber) : [NaN];
+  if (values.some(isNaN)) {
+    throw Error('Invalid size string: ' + str);
+  }
+  return new Size(values[0], values[1]);
+};
+
+
 /**
  * @return {number} The longer of the two dimensions in the size.
  */
@@ -147,12 +230,24 @@ Size.prototype.ceil = function() {
 };
 
 
+/**
+ * Returns a copy of a size with its dimensions clamped upward to integer
+ * values.
+ * @param {!Size} a A Size.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.ceil = function(a) {
+  return Size.coerce(a).clone().ceil();
+};
+
+
 /**
  * @param {!Size} target The target size.
  * @return {boolean} True if this Size is the same size or smaller than the
  *     target size in both dimensions.
  */
 Size.prototype.fitsInside = function(target) {
+  target = Size.coerce(target);
   return this.width <= target.width && this.height <= target.height;
 };
 
@@ -168,6 +263,17 @@ Size.prototype.floor = function() {
 };
 
 
+/**
+ * Returns a copy of a size with its dimensions clamped downward to integer
+ * values.
+ * @param {!Size} a A Size.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.floor = function(a) {
+  return Size.coerce(a).clone().floor();
+};
+
+
 /**
  * Rounds the width and height parameters to integer values.
  * @return {!Size} This size with rounded components.
@@ -179,6 +285,16 @@ Size.prototype.round = function() {
 };
 
 
+/**
+ * Returns a copy of a size with its dimensions rounded to integer values.
+ * @param {!Size} a A Size.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.round = function(a) {
+  return Size.coerce(a).clone().round();
+};
+
+
 /**
  * Scales this size by the given scale factors. The width and height are scaled
  * by {@code sx} and {@code opt_sy} respectively.  If {@code opt_sy} is not
@@ -195,6 +311,19 @@ Size.prototype.scale = function(sx, opt_sy) {
 };
 
 
+/**
+ * Returns a copy of a size scaled by the given scale factors, see
+ * {@code Size.prototype.scale}.
+ * @param {!Size} a A Size.
+ * @param {number} sx The scale factor to use for the width.
+ * @param {number=} opt_sy The scale factor to use for the height.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.scale = function(a, sx, opt_sy) {
+  return Size.coerce(a).clone().scale(sx, opt_sy);
+};
+
+
 /**
  * Uniformly scales the size to fit inside the dimensions of a given size. The
  * original aspect ratio will be preserved.
@@ -204,6 +333,7 @@ Size.prototype.scale = function(sx, opt_sy) {
  * @return {!Size} This Size object, after optional scaling.
  */
 Size.prototype.scaleToFit = function(target) {
+  target = Size.coerce(target);
   var s = this.aspectRatio() > target.aspectRatio() ?
       target.width / this.width :
       target.height / this.height;
@@ -211,4 +341,62 @@ Size.prototype.scaleToFit = function(target) {
   return this.scale(s);
 };
 
+
+/**
+ * Returns a copy of a size uniformly scaled to fit inside the dimensions of a
+ * given size, see {@code Size.prototype.scaleToFit}.
+ * @param {!Size} a A Size.
+ * @param {!Size} target The target size.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.scaleToFit = function(a, target) {
+  return Size.coerce(a).clone().scaleToFit(target);
+};
+
+
+/**
+ * Uniformly scales the size to cover the dimensions of a given size. The
+ * original aspect ratio will be preserved.
+ *
+ * This function assumes that both Sizes contain strictly positive dimensions.
+ * @param {!Size} target The target size.
+ * @return {!Size} This Size object, after optional scaling.
+ */
+Size.prototype.scaleToCover = function(target) {
+  target = Size.coerce(target);
+  var s = this.aspectRatio() > target.aspectRatio() ?
+      target.height / this.height :
+      target.width / this.width;
+
+  return this.scale(s);
+};
+
+
+/**
+ * Returns a copy of a size uniformly scaled to cover the dimensions of a given
+ * size, see {@code Size.prototype.scaleToCover}.
+ * @param {!Size} a A Size.
+ * @param {!Size} target The target size.
+ * @return {!Size} A new Size, {@code a} is not changed.
+ */
+Size.scaleToCover = function(a, target) {
+  return Size.coerce(a).clone().scaleToCover(target);
+};
+
+
+/**
+ * Returns a new Size that is the linear interpolant between sizes a and b at
+ * scale-value x.
+ * @param {Size.SizeLike} a Size a.
+ * @param {Size.SizeLike} b Size b.
+ * @param {number} x The proportion between a and b.
+ * @return {!Size} The interpolated size.
+ */
+Size.lerp = function(a, b, x) {
+  a = Size.coerce(a);
+  b = Size.coerce(b);
+  return new Size(XMath.lerp(a.width, b.width, x),
+                  XMath.lerp(a.height, b.height, x));
+};
+
 module.exports = Size;
\ No newline at end of file
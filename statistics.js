@@ -0,0 +1,449 @@
+var XMath = require('./math');
+
+/**
+ * Descriptive statistics of samples of numbers. The functions describing a
+ * single sample take the numbers either as arguments or as a single array.
+ */
+var Statistics = {};
+
+
+/**
+ * Methods of estimating a quantile lying between two values of a sample,
+ * named as in NumPy.
+ * @enum {string}
+ */
+Statistics.QuantileMethod = {
+  // Interpolates linearly between the two values, as in Excel, R (type 7) and
+  // NumPy by default.
+  LINEAR: 'linear',
+  LOWER: 'lower',
+  HIGHER: 'higher',
+  // The nearer value, the even one when both are equally near.
+  NEAREST: 'nearest',
+  MIDPOINT: 'midpoint'
+};
+
+
+/**
+ * Rules choosing the number of bins of a histogram.
+ * @enum {string}
+ */
+Statistics.BinRule = {
+  // log2(n) + 1 bins, suited to roughly normal samples.
+  STURGES: 'sturges',
+  // Bins 2 IQR / cbrt(n) wide, robust to outliers, and at most one bin per
+  // number.
+  FREEDMAN_DIACONIS: 'freedman-diaconis'
+};
+
+
+/**
+ * Returns the arithmetic mean of the numbers.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The mean, or {@code NaN} if no numbers were given.
+ */
+Statistics.mean = function(var_args) {
+  return XMath.average(XMath.argumentsArray(arguments));
+};
+
+
+/**
+ * Returns the median of the numbers.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The median, the mean of the two middle numbers if there is
+ *     an even count of them, or {@code NaN} if no numbers were given.
+ */
+Statistics.median = function(var_args) {
+  return Statistics.quantile(XMath.argumentsArray(arguments), 0.5);
+};
+
+
+/**
+ * Returns the most frequent of the numbers.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {!Array.<number>} All numbers occurring most often, in increasing
+ *     order, or an empty array if no numbers were given.
+ */
+Statistics.mode = function(var_args) {
+  var sorted = Statistics.sorted_(XMath.argumentsArray(arguments));
+  var modes = [];
+  var maxCount = 0;
+  for (var i = 0, j; i < sorted.length; i = j) {
+    for (j = i + 1; j < sorted.length && sorted[j] == sorted[i]; j++) {}
+    if (j - i > maxCount) {
+      maxCount = j - i;
+      modes = [];
+    }
+    if (j - i == maxCount) {
+      modes.push(sorted[i]);
+    }
+  }
+  return modes;
+};
+
+
+/**
+ * Returns a quantile of a sample, the value below which the fraction
+ * {@code p} of the sample lies.
+ * @param {!Array.<number>} values The sample.
+ * @param {number} p The fraction, from 0 to 1. 0.5 is the median.
+ * @param {Statistics.QuantileMethod=} opt_method How to estimate quantiles
+ *     between two values of the sample, defaults to LINEAR.
+ * @return {number} The quantile, or {@code NaN} if the sample is empty.
+ */
+Statistics.quantile = function(values, p, opt_method) {
+  if (!(p >= 0 && p <= 1)) {
+    throw Error('Quantile fraction must be between 0 and 1, got ' + p);
+  }
+  var sorted = Statistics.sorted_(values);
+  if (!sorted.length) {
+    return NaN;
+  }
+  var position = p * (sorted.length - 1);
+  var lower = sorted[Math.floor(position)];
+  var higher = sorted[Math.ceil(position)];
+  var fraction = position - Math.floor(position);
+  switch (opt_method || Statistics.QuantileMethod.LINEAR) {
+    case Statistics.QuantileMethod.LINEAR:
+      return fraction ? XMath.lerp(lower, higher, fraction) : lower;
+    case Statistics.QuantileMethod.LOWER:
+      return lower;
+    case Statistics.QuantileMethod.HIGHER:
+      return higher;
+    case Statistics.QuantileMethod.NEAREST:
+      if (fraction == 0.5) {
+        return Math.floor(position) % 2 ? higher : lower;
+      }
+      return fraction < 0.5 ? lower : higher;
+    case Statistics.QuantileMethod.MIDPOINT:
+      return (lower + higher) / 2;
+  }
+  throw Error('Unknown quantile method: ' + opt_method);
+};
+
+
+/**
+ * Returns a percentile of a sample, see {@code Statistics.quantile}.
+ * @param {!Array.<number>} values The sample.
+ * @param {number} p The percentage, from 0 to 100.
+ * @param {Statistics.QuantileMethod=} opt_method How to estimate percentiles
+ *     between two values of the sample, defaults to LINEAR.
+ * @return {number} The percentile, or {@code NaN} if the sample is empty.
+ */
+Statistics.percentile = function(values, p, opt_method) {
+  if (!(p >= 0 && p <= 100)) {
+    throw Error('Percentile must be between 0 and 100, got ' + p);
+  }
+  return Statistics.quantile(values, p / 100, opt_method);
+};
+
+
+/**
+ * Returns the interquartile range of a sample, the distance between its
+ * first and third quartiles.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The interquartile range, or {@code NaN} if no numbers were
+ *     given.
+ */
+Statistics.interquartileRange = function(var_args) {
+  var sorted = Statistics.sorted_(XMath.argumentsArray(arguments));
+  return Statistics.quantile(sorted, 0.75) - Statistics.quantile(sorted, 0.25);
+};
+
+
+/**
+ * Returns the smallest of the numbers. Unlike {@code Math.min}, this works
+ * with arrays of any length.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The smallest number, or {@code NaN} if no numbers were
+ *     given or any of them is {@code NaN}, as for the other statistics.
+ */
+Statistics.min = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  return values.length ? values.reduce(function(a, b) {
+    return Math.min(a, b);
+  }) : NaN;
+};
+
+
+/**
+ * Returns the largest of the numbers. Unlike {@code Math.max}, this works
+ * with arrays of any length.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The largest number, or {@code NaN} if no numbers were
+ *     given or any of them is {@code NaN}, as for the other statistics.
+ */
+Statistics.max = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  return values.length ? values.reduce(function(a, b) {
+    return Math.max(a, b);
+  }) : NaN;
+};
+
+
+/**
+ * Returns the difference between the largest and the smallest of the numbers.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The range, or {@code NaN} if no numbers were given or any
+ *     of them is {@code NaN}.
+ */
+Statistics.range = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  return Statistics.max(values) - Statistics.min(values);
+};
+
+
+/**
+ * Returns the sample variance of the numbers, the estimate of the variance of
+ * the population they were drawn from.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The sample variance, 0 if fewer than two numbers were
+ *     given, as for {@code XMath.standardDeviation}.
+ */
+Statistics.variance = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  if (values.length < 2) {
+    return 0;
+  }
+  return Statistics.moment_(values, 2) * values.length / (values.length - 1);
+};
+
+
+/**
+ * Returns the population variance of the numbers, treating them as the whole
+ * population.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The population variance, or {@code NaN} if no numbers were
+ *     given.
+ */
+Statistics.populationVariance = function(var_args) {
+  return Statistics.moment_(XMath.argumentsArray(arguments), 2);
+};
+
+
+/**
+ * Returns the sample standard deviation of the numbers, the square root of
+ * {@code Statistics.variance}.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The sample standard deviation, 0 if fewer than two numbers
+ *     were given.
+ */
+Statistics.standardDeviation = function(var_args) {
+  return Math.sqrt(Statistics.variance(XMath.argumentsArray(arguments)));
+};
+
+
+/**
+ * Returns the population standard deviation of the numbers, the square root
+ * of {@code Statistics.populationVariance}.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The population standard deviation, or {@code NaN} if no
+ *     numbers were given.
+ */
+Statistics.populationStandardDeviation = function(var_args) {
+  return Math.sqrt(Statistics.populationVariance(
+      XMath.argumentsArray(arguments)));
+};
+
+
+/**
+ * Returns the skewness of the numbers, the moment coefficient of skewness
+ * g1. It is positive when the numbers have a longer tail above the mean.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The skewness, or {@code NaN} if the numbers are all equal
+ *     or none were given.
+ */
+Statistics.skewness = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  return Statistics.moment_(values, 3) /
+      Math.pow(Statistics.moment_(values, 2), 1.5);
+};
+
+
+/**
+ * Returns the excess kurtosis of the numbers, the moment coefficient g2. It is
+ * 0 for a normal distribution, and positive when outliers are more common.
+ * @param {...number|!Array.<number>} var_args Numbers, or a single array of
+ *     them.
+ * @return {number} The excess kurtosis, or {@code NaN} if the numbers are all
+ *     equal or none were given.
+ */
+Statistics.kurtosis = function(var_args) {
+  var values = XMath.argumentsArray(arguments);
+  return Statistics.moment_(values, 4) /
+      Math.pow(Statistics.moment_(values, 2), 2) - 3;
+};
+
+
+/**
+ * Returns the covariance of two paired samples.
+ * @param {!Array.<number>} xs The first sample.
+ * @param {!Array.<number>} ys The second sample, as long as the first.
+ * @param {boolean=} opt_population Whether to compute the population
+ *     covariance instead of the sample covariance.
+ * @return {number} The covariance, 0 for the sample covariance of fewer than
+ *     two pairs and {@code NaN} for the population covariance of none.
+ */
+Statistics.covariance = function(xs, ys, opt_population) {
+  Statistics.checkPaired_(xs, ys);
+  var n = xs.length;
+  if (!opt_population && n < 2) {
+    return 0;
+  }
+  var meanX = XMath.average(xs);
+  var meanY = XMath.average(ys);
+  var sum = 0;
+  for (var i = 0; i < n; i++) {
+    sum += (xs[i] - meanX) * (ys[i] - meanY);
+  }
+  return sum / (opt_population ? n : n - 1);
+};
+
+
+/**
+ * Returns the Pearson correlation coefficient of two paired samples.
+ * @param {!Array.<number>} xs The first sample.
+ * @param {!Array.<number>} ys The second sample, as long as the first.
+ * @return {number} The correlation, from -1 to 1, or {@code NaN} if either
+ *     sample has no variation.
+ */
+Statistics.correlation = function(xs, ys) {
+  return Statistics.covariance(xs, ys, true) /
+      Math.sqrt(Statistics.populationVariance(xs) *
+                Statistics.populationVariance(ys));
+};
+
+
+/**
+ * Counts the numbers of a sample falling in each of a series of adjacent
+ * bins. Every bin includes its lower edge, the last one also its upper edge.
+ * @param {!Array.<number>} values The sample.
+ * @param {number|Statistics.BinRule|!Array.<number>=} opt_bins The number of
+ *     equally wide bins spanning the sample, a rule choosing it, or the
+ *     increasing edges of the bins. Numbers outside given edges are not
+ *     counted. Defaults to STURGES.
+ * @return {{edges: !Array.<number>, counts: !Array.<number>}} The edges of the
+ *     bins, one more than there are bins, and the count of numbers in each.
+ */
+Statistics.histogram = function(values, opt_bins) {
+  var edges = Array.isArray(opt_bins) ? opt_bins.slice() :
+      Statistics.binEdges_(values, opt_bins === undefined ?
+                           Statistics.BinRule.STURGES : opt_bins);
+  var counts = edges.slice(1).map(function() {
+    return 0;
+  });
+  var last = edges.length - 1;
+  values.forEach(function(value) {
+    if (!(value >= edges[0] && value <= edges[last])) {
+      return;
+    }
+    // Binary search for the last edge not above the value.
+    var low = 0;
+    var high = last;
+    while (high - low > 1) {
+      var middle = (low + high) >> 1;
+      if (edges[middle] <= value) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    counts[low]++;
+  });
+  return {edges: edges, counts: counts};
+};
+
+
+/**
+ * @param {!Array.<number>} values The sample.
+ * @param {number|Statistics.BinRule} bins The number of bins or the rule
+ *     choosing it.
+ * @return {!Array.<number>} The edges of equally wide bins spanning the
+ *     sample.
+ * @private
+ */
+Statistics.binEdges_ = function(values, bins) {
+  var min = Statistics.min(values);
+  var max = Statistics.max(values);
+  if (!values.length) {
+    return [0, 1];
+  }
+  var count = bins;
+  if (bins == Statistics.BinRule.FREEDMAN_DIACONIS) {
+    var width = 2 * Statistics.interquartileRange(values) /
+        Math.pow(values.length, 1 / 3);
+    // A sample with most numbers equal has no spread to base the width on,
+    // and far outliers would ask for more bins than there are numbers.
+    count = width > 0 ?
+        Math.min(Math.ceil((max - min) / width), values.length) :
+        Statistics.BinRule.STURGES;
+  }
+  if (count == Statistics.BinRule.STURGES) {
+    count = Math.ceil(Math.log(values.length) / Math.LN2) + 1;
+  }
+  if (!XMath.isInt(count) || count < 1) {
+    throw Error('Invalid histogram bins: ' + bins);
+  }
+  if (min == max) {
+    return [min, max];
+  }
+  var edges = [];
+  for (var i = 0; i < count; i++) {
+    edges.push(XMath.lerp(min, max, i / count));
+  }
+  edges.push(max);
+  return edges;
+};
+
+
+/**
+ * @param {!Array.<number>} values The sample.
+ * @param {number} k The order of the moment.
+ * @return {number} The k-th central moment of the sample.
+ * @private
+ */
+Statistics.moment_ = function(values, k) {
+  var mean = XMath.average(values);
+  return XMath.average(values.map(function(value) {
+    return Math.pow(value - mean, k);
+  }));
+};
+
+
+/**
+ * @param {!Array.<number>} xs The first sample.
+ * @param {!Array.<number>} ys The second sample.
+ * @private
+ */
+Statistics.checkPaired_ = function(xs, ys) {
+  if (xs.length != ys.length) {
+    throw Error('Paired samples must have the same length, got ' +
+        xs.length + ' and ' + ys.length);
+  }
+};
+
+
+/**
+ * @param {!Array.<number>} values Numbers.
+ * @return {!Array.<number>} A sorted copy of the numbers.
+ * @private
+ */
+Statistics.sorted_ = function(values) {
+  return values.slice().sort(function(a, b) {
+    return a - b;
+  });
+};
+
+module.exports = Statistics;
@@ -0,0 +1,122 @@
+var Box = require('./box');
+var Coordinate = require('./coordinate');
+var Coordinate3 = require('./coordinate3');
+var Easing = require('./easing');
+var Rect = require('./rect');
+var Size = require('./size');
+var XMath = require('./math');
+
+/**
+ * Class for interpolating between two numbers, coordinates, sizes, rectangles
+ * or boxes over normalized time, from 0 at the start to 1 at the end.
+ * @param {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} from The value at
+ *     the start.
+ * @param {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} to The value at
+ *     the end, of the same kind as {@code from}.
+ * @param {Easing.EasingFunction=} opt_easing Maps the time to the progress
+ *     between the values, defaults to {@code Easing.linear}.
+ * @constructor
+ */
+var Tween = function(from, to, opt_easing) {
+  var lerp = Tween.getLerp_(from);
+  if (lerp != Tween.getLerp_(to)) {
+    throw Error('Cannot tween from ' + from + ' to ' + to);
+  }
+
+  /**
+   * The value at the start.
+   * @type {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box}
+   */
+  this.from = from;
+
+  /**
+   * The value at the end.
+   * @type {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box}
+   */
+  this.to = to;
+
+  /**
+   * Easing
+   * @type {Easing.EasingFunction}
+   */
+  this.easing = opt_easing || Easing.linear;
+
+  /**
+   * @type {function(?, ?, number): ?}
+   * @private
+   */
+  this.lerp_ = lerp;
+};
+
+
+/**
+ * Interpolates between two values of the same kind.
+ * @param {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} from The value at
+ *     the start.
+ * @param {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} to The value at
+ *     the end.
+ * @param {number} t The normalized time, clamped to [0, 1].
+ * @param {Easing.EasingFunction=} opt_easing Maps the time to the progress
+ *     between the values, defaults to {@code Easing.linear}.
+ * @return {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} The value at
+ *     {@code t}, a new object unless a number.
+ */
+Tween.interpolate = function(from, to, t, opt_easing) {
+  return new Tween(from, to, opt_easing).getValue(t);
+};
+
+
+/**
+ * Returns the value at a point in time. The progress given by the easing may
+ * overshoot, so the value may lie beyond {@code from} or {@code to}.
+ * @param {number} t The normalized time, clamped to [0, 1].
+ * @return {number|!Coordinate|!Coordinate3|!Size|!Rect|!Box} The value at
+ *     {@code t}, a new object unless a number.
+ */
+Tween.prototype.getValue = function(t) {
+  return this.lerp_(this.from, this.to, this.easing(XMath.clamp(t, 0, 1)));
+};
+
+
+/**
+ * @return {!Tween} A new tween running from {@code to} back to {@code from},
+ *     with the easing reflected in time.
+ */
+Tween.prototype.reverse = function() {
+  var easing = this.easing;
+  return new Tween(this.to, this.from, function(t) {
+    return 1 - easing(1 - t);
+  });
+};
+
+
+/**
+ * Returns a nice string representing the tween.
+ * @return {string} In the form (from -> to).
+ * @override
+ */
+Tween.prototype.toString = function() {
+  return '(' + this.from + ' -> ' + this.to + ')';
+};
+
+
+/**
+ * @param {*} value A value.
+ * @return {function(?, ?, number): ?} The function interpolating values of
+ *     the kind.
+ * @private
+ */
+Tween.getLerp_ = function(value) {
+  if (XMath.isNumber(value)) {
+    return XMath.lerp;
+  }
+  var types = [Coordinate3, Coordinate, Size, Rect, Box];
+  for (var i = 0; i < types.length; i++) {
+    if (value instanceof types[i]) {
+      return types[i].lerp;
+    }
+  }
+  throw Error('Cannot tween ' + value);
+};
+
+module.exports = Tween;